@@ -4,11 +4,71 @@
 class AppDataManager {
     constructor(optionsManager) {
         this.optionsManager = optionsManager;
-        this.DATA_VERSION = 1;
+        this.DATA_VERSION = 2;
+        this.DATA_URL = `https://wokemaps-public.s3.us-east-2.amazonaws.com/app-data-v${this.DATA_VERSION}.json`;
         this.DATA_CACHE_KEY = 'wokemaps_app_data_cache';
         this.DATA_CACHE_EXPIRY_KEY = 'wokemaps_app_data_expiry';
+        this.DATA_LATEST_KEY = 'wokemaps_app_data_latest';
+        this.DATA_VALIDATORS_KEY = 'wokemaps_app_data_validators';
+        this.PACK_CACHE_KEY_PREFIX = 'wokemaps_pack_cache_';
+        this.PACK_CACHE_EXPIRY_KEY_PREFIX = 'wokemaps_pack_expiry_';
+        this.PACK_LATEST_KEY_PREFIX = 'wokemaps_pack_latest_';
+        this.PACK_VALIDATORS_KEY_PREFIX = 'wokemaps_pack_validators_';
+        this.PACK_FETCH_STATE_KEY_PREFIX = 'wokemaps_pack_fetch_state_';
+        this.LOCAL_PACKS_KEY = 'wokemaps_local_packs';
+        this.LOCAL_PACK_URL_PREFIX = 'local:';
+        this.DATA_STATUS_KEY = 'wokemaps_app_data_status';
+        this.FETCH_STATE_KEY = 'wokemaps_app_data_fetch_state';
         this.DATA_CACHE_DURATION = 3 * 60 * 60 * 1000; // 3 hours in milliseconds
+        this.FETCH_BACKOFF_INITIAL = 5 * 60 * 1000; // 5 minutes in milliseconds
+        this.FETCH_BACKOFF_MAX = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+        this.FETCH_HISTORY_LENGTH = 10;
+        this.dataUrlOverride = null;
+        // When true, only cached and built-in data is read and nothing is written back: no fetches or
+        // backoff, no promoting the newest download and no load status. Those belong to the Maps tabs;
+        // the popup and options page only look at what they loaded.
+        this.readOnly = false;
         this.appData = null;
+        this.loadingPromise = null;
+        this.officialData = null;
+        this.packData = new Map();
+        this.rejectedEntries = [];
+        this.changeListeners = new Set();
+    }
+
+    // Describe the official data source
+    getOfficialSource() {
+        return {
+            id: 'official',
+            name: 'official app data',
+            url: this.dataUrlOverride || this.DATA_URL,
+            cacheKey: this.DATA_CACHE_KEY,
+            expiryKey: this.DATA_CACHE_EXPIRY_KEY,
+            latestKey: this.DATA_LATEST_KEY,
+            validatorsKey: this.DATA_VALIDATORS_KEY,
+            fetchStateKey: this.FETCH_STATE_KEY
+        };
+    }
+
+    // Describe a user-configured label pack, each of which is cached under its own keys
+    getPackSource(pack) {
+        const urlHash = hashString(pack.url);
+        return {
+            id: pack.url,
+            name: `label pack ${pack.url}`,
+            url: pack.url,
+            cacheKey: this.PACK_CACHE_KEY_PREFIX + urlHash,
+            expiryKey: this.PACK_CACHE_EXPIRY_KEY_PREFIX + urlHash,
+            latestKey: this.PACK_LATEST_KEY_PREFIX + urlHash,
+            validatorsKey: this.PACK_VALIDATORS_KEY_PREFIX + urlHash,
+            fetchStateKey: this.PACK_FETCH_STATE_KEY_PREFIX + urlHash
+        };
+    }
+
+    // Parse downloaded or cached app data. GeoJSON is accepted as well, and converted to app data.
+    parseAppData(text) {
+        const data = JSON.parse(text);
+        return GeoJsonConverter.isFeatureCollection(data) ? GeoJsonConverter.toAppData(data) : data;
     }
 
     // Validate that app data has the expected structure
@@ -17,6 +77,8 @@ class AppDataManager {
             throw new Error("App data is not a dictionary");
         }
 
+        AppDataMigrations.checkFormatVersion(data);
+
         const minVersion = data?.compatibility?.minVersion;
         const curVersion = chrome.runtime.getManifest().version;
         if (minVersion && versionCompare(curVersion, minVersion) < 0) {
@@ -26,70 +88,331 @@ class AppDataManager {
         if (!data.labels || !(data.labels instanceof Array)) {
             throw new Error("No array `labels` found in app data");
         }
+
+        if (data.shapes !== undefined && !(data.shapes instanceof Array)) {
+            throw new Error("Field `shapes` in app data is not an array");
+        }
+
+        if (data.announcements !== undefined && !(data.announcements instanceof Array)) {
+            throw new Error("Field `announcements` in app data is not an array");
+        }
     }
 
-    // Load cached app data from Chrome storage
-    async loadCachedAppData() {
-        try {
-            const cacheSettings = await chrome.storage.local.get([this.DATA_CACHE_KEY, this.DATA_CACHE_EXPIRY_KEY]);
-            const cachedData = cacheSettings[this.DATA_CACHE_KEY];
-            const cacheExpiry = cacheSettings[this.DATA_CACHE_EXPIRY_KEY];
+    // Drop entries that fail their schema check, recording a structured warning for each
+    filterValidEntries(entries, kind, validate, source) {
+        return entries.filter((entry, index) => {
+            const failure = validate(entry);
+            if (!failure) {
+                return true;
+            }
 
-            const now = Date.now();
+            const rejection = {
+                source: source.name,
+                kind,
+                index,
+                target: (entry && typeof entry.target === 'string') ? entry.target : null,
+                field: failure.field,
+                message: failure.message
+            };
+            this.rejectedEntries.push(rejection);
+            log.warn('init', `Dropping invalid ${kind} #${index}` +
+                (rejection.target ? ` (${rejection.target})` : '') +
+                ` from ${source.name}: ${failure.field ? `\`${failure.field}\` ` : ''}${failure.message}`, rejection);
+            return false;
+        });
+    }
 
-            if (cachedData && cacheExpiry && now < parseInt(cacheExpiry)) {
-                log.info('init', "Using cached app data");
-                const json = JSON.parse(cachedData);
-                // Ensure cached data is still valid for this version, else we need to go fetch it anew.
-                // TODO: if we push bad data, this behavior does make us prone to a production issue
-                // where every instance tries to fetch new data every time, spiking our usage.
-                // We may need to implement a defense against that to rate limit re-fetch requests, or still
-                // honor the cache expiry even if it's broken, if it's tried once - just disable the extension
-                // until cache expires.
-                this.validateAppData(json);
-                return json;
+    // Keep only the entries that pass validation and whose id hasn't been seen yet. Labels and shapes
+    // share one id space, so either can be hidden by id.
+    filterValidIdentifiedEntries(entries, kind, validate, source, seenIds) {
+        return this.filterValidEntries(entries, kind, (entry) => {
+            const failure = validate(entry);
+            if (failure) {
+                return failure;
             }
+            if (seenIds.has(entry.id)) {
+                return { field: 'id', message: `duplicates the id of an earlier label or shape` };
+            }
+            seenIds.add(entry.id);
             return null;
+        }, source);
+    }
+
+    // Keep only the labels that pass validation and whose id hasn't been seen yet
+    filterValidLabels(labels, source, seenIds) {
+        return this.filterValidIdentifiedEntries(labels, 'label', AppDataSchema.validateLabel, source, seenIds);
+    }
+
+    // Keep only the shapes that pass validation and whose id hasn't been seen yet
+    filterValidShapes(shapes, source, seenIds) {
+        return this.filterValidIdentifiedEntries(shapes, 'shape', AppDataSchema.validateShape, source, seenIds);
+    }
+
+    // Resolve relative label image URLs against the URL of the data they came from, so a pack can ship
+    // its images next to its JSON. URLs that can't be resolved are left for validation to reject, as are
+    // all relative URLs of imported packs, which weren't fetched from anywhere.
+    resolveImageUrls(labels, source) {
+        if (this.isLocalPack(source)) {
+            return labels;
+        }
+        return labels.map((label) => {
+            if (!(label instanceof Object) || typeof label.image !== 'string' || label.image.startsWith('data:')) {
+                return label;
+            }
+            try {
+                return { ...label, image: new URL(label.image, source.url).href };
+            } catch (e) {
+                return label;
+            }
+        });
+    }
+
+    // Upgrade app data to the current format and keep only the labels, shapes and announcements that
+    // pass validation, leaving the rest of the dataset intact
+    sanitizeAppData(data, source, seenIds) {
+        const migrated = AppDataMigrations.migrate(data);
+        const labels = this.resolveImageUrls(migrated.labels, source);
+        // Each label keeps its `entry` as written in the data, before migration and URL resolution, e.g. so
+        // the placement editor can copy it back with just its edits. Migration maps labels one to one.
+        const entries = new Map(labels.map((label, i) => [label, data.labels[i]]));
+        const sanitized = {
+            ...migrated,
+            labels: this.filterValidLabels(labels, source, seenIds).map((label) => ({ ...label, entry: entries.get(label) }))
+        };
+        if (migrated.shapes) {
+            sanitized.shapes = this.filterValidShapes(migrated.shapes, source, seenIds);
+        }
+        if (migrated.announcements) {
+            sanitized.announcements = this.filterValidEntries(
+                migrated.announcements, 'announcement', AppDataSchema.validateAnnouncement, source);
+        }
+        return sanitized;
+    }
+
+    // Persist load results so the popup can display them
+    async saveStatus() {
+        if (this.readOnly) return;
+        try {
+            await chrome.storage.local.set({
+                [this.DATA_STATUS_KEY]: {
+                    updatedAt: new Date().toISOString(),
+                    rejectedEntries: this.rejectedEntries
+                }
+            });
+        } catch (e) {
+            log.warn('init', `Failed to save app data status: ${e.message}`);
+        }
+    }
+
+    // Load cached app data from Chrome storage. Stale data is still returned, flagged as not fresh,
+    // so that it can be served right away while a refresh happens in the background.
+    async loadCachedAppData(source = this.getOfficialSource()) {
+        try {
+            const cacheSettings = await chrome.storage.local.get([source.cacheKey, source.expiryKey, source.latestKey]);
+            let cachedData = cacheSettings[source.cacheKey];
+            let cacheExpiry = cacheSettings[source.expiryKey];
+            const latest = cacheSettings[source.latestKey];
+
+            // The newest download was rejected when fetched, but may be acceptable now (e.g. after
+            // an extension update satisfies its minimum version). If so, it replaces the last-known-good data.
+            if (latest && !this.readOnly) {
+                try {
+                    this.validateAppData(this.parseAppData(latest.json));
+                    log.info('init', `Promoting previously rejected download of ${source.name} to last-known-good`);
+                    cachedData = latest.json;
+                    cacheExpiry = (latest.fetchedAt + this.DATA_CACHE_DURATION).toString();
+                    await chrome.storage.local.set({
+                        [source.cacheKey]: cachedData,
+                        [source.expiryKey]: cacheExpiry
+                    });
+                    // The stored validators belong to the replaced data
+                    await chrome.storage.local.remove([source.latestKey, source.validatorsKey]);
+                } catch (e) {
+                    log.debug('init', `Newest download of ${source.name} is still rejected: ${e.message}`);
+                }
+            }
+
+            if (!cachedData) {
+                return null;
+            }
+
+            const json = this.parseAppData(cachedData);
+            this.validateAppData(json);
+
+            const isFresh = !!cacheExpiry && Date.now() < parseInt(cacheExpiry);
+            log.info('init', `Using ${isFresh ? 'cached' : 'stale cached'} ${source.name}`);
+            return { data: json, isFresh };
         } catch (error) {
-            log.warn('init', `Failed to load cached app data: ${error.message}`);
+            log.warn('init', `Failed to load cached ${source.name}: ${error.message}`);
             return null;
         }
     }
 
-    // Load app data from remote source
-    async loadRemoteAppData() {
+    // Load the persisted fetch attempt state of a source. Each source has its own key, so the official
+    // data and label packs, which are fetched concurrently, don't overwrite each other's state.
+    async loadFetchState(source) {
+        try {
+            const result = await chrome.storage.local.get([source.fetchStateKey]);
+            const state = result[source.fetchStateKey];
+            return state || { failures: 0, history: [] };
+        } catch (e) {
+            log.warn('init', `Failed to load fetch state: ${e.message}`);
+            return { failures: 0, history: [] };
+        }
+    }
+
+    // Check whether a source may be fetched now, or is still backing off from earlier failures
+    async canAttemptFetch(source) {
+        const state = await this.loadFetchState(source);
+        if (state.nextAttemptAt && Date.now() < state.nextAttemptAt) {
+            log.info('init', `Not fetching ${source.name} after ${state.failures} failures, ` +
+                `next attempt allowed at ${new Date(state.nextAttemptAt).toISOString()}`);
+            return false;
+        }
+        return true;
+    }
+
+    // Record the outcome of a fetch attempt. Failures back off exponentially, with jitter so that
+    // installs which failed together don't all retry together.
+    async recordFetchAttempt(source, ok, error = null) {
+        try {
+            const state = await this.loadFetchState(source);
+            const now = Date.now();
+
+            state.lastAttemptAt = now;
+            state.history = [...state.history, { at: now, ok, error }].slice(-this.FETCH_HISTORY_LENGTH);
+
+            if (ok) {
+                state.failures = 0;
+                delete state.nextAttemptAt;
+            } else {
+                state.failures += 1;
+                const backoff = Math.min(this.FETCH_BACKOFF_INITIAL * Math.pow(2, state.failures - 1), this.FETCH_BACKOFF_MAX);
+                state.nextAttemptAt = now + Math.round(backoff * (0.8 + Math.random() * 0.4));
+            }
+
+            await chrome.storage.local.set({ [source.fetchStateKey]: state });
+        } catch (e) {
+            log.warn('init', `Failed to save fetch state: ${e.message}`);
+        }
+    }
+
+    // Build the conditional request headers for revalidating cached data
+    async getConditionalHeaders(source) {
+        const result = await chrome.storage.local.get([source.validatorsKey]);
+        const validators = result[source.validatorsKey] || {};
+        const headers = {};
+        if (validators.etag) {
+            headers['If-None-Match'] = validators.etag;
+        }
+        if (validators.lastModified) {
+            headers['If-Modified-Since'] = validators.lastModified;
+        }
+        return headers;
+    }
+
+    // Load app data from remote source. Only data that passes validation replaces the
+    // last-known-good cache; a rejected download is kept separately as the newest download.
+    // If cached data is given, the request is made conditional on it having changed, and the
+    // cached data is returned as-is when the server responds 304 Not Modified.
+    async loadRemoteAppData(source = this.getOfficialSource(), cachedData = null) {
+        let responseText = null;
         try {
-            log.debug('init', "Fetching fresh app data from remote source");
-            const response = await fetch(`https://wokemaps-public.s3.us-east-2.amazonaws.com/app-data-v${this.DATA_VERSION}.json`, {
+            log.debug('init', `Fetching fresh ${source.name} from remote source`);
+            const conditionalHeaders = cachedData ? await this.getConditionalHeaders(source) : {};
+            const response = await fetch(source.url, {
                 method: 'GET',
-                cache: 'no-cache',
+                // Bypass the HTTP cache entirely, revalidation is done with our own stored validators
+                cache: 'no-store',
                 headers: {
-                    'Accept': 'application/json',
+                    'Accept': 'application/json, application/geo+json',
+                    ...conditionalHeaders
                 },
                 signal: AbortSignal.timeout(5000) // 5 second timeout
             });
 
+            if (response.status === 304 && cachedData) {
+                await chrome.storage.local.set({
+                    [source.expiryKey]: (Date.now() + this.DATA_CACHE_DURATION).toString()
+                });
+                await this.recordFetchAttempt(source, true);
+                log.info('init', `Remote ${source.name} not modified, extended cache expiry`);
+                return cachedData;
+            }
+
             if (!response.ok) {
                 throw new Error(`Remote fetch failed with status: ${response.status}`);
             }
 
-            const remoteData = await response.json();
+            responseText = await response.text();
+            const remoteData = this.parseAppData(responseText);
             this.validateAppData(remoteData);
 
-            // Cache the successful response
-            chrome.storage.local.set({
-                [this.DATA_CACHE_KEY]: JSON.stringify(remoteData),
-                [this.DATA_CACHE_EXPIRY_KEY]: (Date.now() + this.DATA_CACHE_DURATION).toString()
+            // Cache the successful response as the new last-known-good data, along with
+            // the validators needed to revalidate it later
+            await chrome.storage.local.set({
+                [source.cacheKey]: responseText,
+                [source.expiryKey]: (Date.now() + this.DATA_CACHE_DURATION).toString(),
+                [source.validatorsKey]: {
+                    etag: response.headers.get('ETag'),
+                    lastModified: response.headers.get('Last-Modified')
+                }
             });
+            await chrome.storage.local.remove([source.latestKey]);
+            await this.recordFetchAttempt(source, true);
 
-            log.info('init', `Successfully loaded and cached ${remoteData.labels.length} labels from remote app data`);
+            log.info('init', `Successfully loaded and cached ${remoteData.labels.length} labels from remote ${source.name}`);
             return remoteData;
         } catch (error) {
-            log.warn('init', `Failed to load remote app data: ${error.message}`);
+            log.warn('init', `Failed to load remote ${source.name}: ${error.message}`);
+            if (responseText !== null) {
+                chrome.storage.local.set({
+                    [source.latestKey]: { json: responseText, fetchedAt: Date.now(), error: error.message }
+                });
+            }
+            await this.recordFetchAttempt(source, false, error.message);
             return null;
         }
     }
 
+    // Revalidate a source's cached data in the background and apply it if it changed
+    refreshInBackground(source, cachedData, applyData) {
+        this.canAttemptFetch(source).then((allowed) => {
+            if (!allowed) return null;
+            return this.loadRemoteAppData(source, cachedData);
+        }).then(async (data) => {
+            if (!data || data === cachedData) return;
+            // Don't let a quick refresh be overwritten by the initial load it was started from
+            await this.loadAppData();
+            log.info('init', `Refreshed ${source.name} in the background`);
+            applyData(data);
+            this.updateAppData();
+        }).catch((e) => {
+            log.warn('init', `Background refresh of ${source.name} failed: ${e.message}`);
+        });
+    }
+
+    // Load a source from its cache, falling back to a fetch if there is no usable cached data.
+    // Stale cached data is returned immediately and refreshed in the background.
+    async loadSourceData(source, applyData) {
+        const useCache = await this.optionsManager.getOption('debug.enableRemoteConfigCache', true);
+
+        if (useCache) {
+            const cached = await this.loadCachedAppData(source);
+            if (cached) {
+                if (!cached.isFresh && !this.readOnly) {
+                    this.refreshInBackground(source, cached.data, applyData);
+                }
+                return cached.data;
+            }
+        }
+
+        if (this.readOnly || !(await this.canAttemptFetch(source))) {
+            return null;
+        }
+        return this.loadRemoteAppData(source);
+    }
+
     // Load app data from local bundled file
     async loadBuiltinAppData() {
         try {
@@ -112,36 +435,191 @@ class AppDataManager {
         }
     }
 
+    // Load the official app data, from cache, remote or the bundled copy
+    async loadOfficialAppData() {
+        const useRemote = await this.optionsManager.getOption('debug.enableRemoteConfig', true);
+        // Allows testing against a local stand-in server, see tools/serve-app-data.js
+        this.dataUrlOverride = await this.optionsManager.getOption('debug.remoteConfigUrl', null);
+
+        if (useRemote) {
+            const data = await this.loadSourceData(this.getOfficialSource(), (data) => {
+                this.officialData = data;
+            });
+            if (data) {
+                return data;
+            }
+        }
+
+        // Fall back to builtin app data
+        return this.loadBuiltinAppData();
+    }
+
+    // Check whether a label pack was imported from a file rather than subscribed to by URL
+    isLocalPack(pack) {
+        return pack.url.startsWith(this.LOCAL_PACK_URL_PREFIX);
+    }
+
+    // Load an imported label pack from Chrome storage
+    async loadLocalPack(pack) {
+        try {
+            const result = await chrome.storage.local.get([this.LOCAL_PACKS_KEY]);
+            const localPack = (result[this.LOCAL_PACKS_KEY] || {})[pack.url];
+            if (!localPack) {
+                throw new Error('Imported data not found');
+            }
+
+            this.validateAppData(localPack.data);
+            log.info('init', `Using imported label pack ${localPack.name}`);
+            return localPack.data;
+        } catch (error) {
+            log.warn('init', `Failed to load imported label pack ${pack.url}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store imported app data as a local label pack
+     * @param {string} name - Display name, e.g. the imported file name
+     * @param {Object} data - App data
+     * @returns {Promise<Object>} Label pack entry for the labelPacks option
+     * @throws {Error} If the data is not valid app data
+     */
+    async saveLocalPack(name, data) {
+        this.validateAppData(data);
+
+        const url = `${this.LOCAL_PACK_URL_PREFIX}${crypto.randomUUID()}`;
+        const result = await chrome.storage.local.get([this.LOCAL_PACKS_KEY]);
+        const localPacks = result[this.LOCAL_PACKS_KEY] || {};
+        localPacks[url] = { name, importedAt: new Date().toISOString(), data };
+        await chrome.storage.local.set({ [this.LOCAL_PACKS_KEY]: localPacks });
+
+        log.info('ui', `Imported ${data.labels.length} labels as label pack ${name}`);
+        return { url, name, enabled: true };
+    }
+
+    /**
+     * Delete the stored data of a local label pack
+     * @param {Object} pack - Label pack entry
+     */
+    async removeLocalPack(pack) {
+        const result = await chrome.storage.local.get([this.LOCAL_PACKS_KEY]);
+        const localPacks = result[this.LOCAL_PACKS_KEY] || {};
+        delete localPacks[pack.url];
+        await chrome.storage.local.set({ [this.LOCAL_PACKS_KEY]: localPacks });
+    }
+
+    // Load all enabled label packs, keyed by URL. A broken pack maps to null and doesn't affect the others.
+    async loadPackData() {
+        const packs = await this.optionsManager.getOption('labelPacks', []);
+        const enabledPacks = packs.filter((pack) => pack.enabled !== false && pack.url);
+
+        const packData = await Promise.all(enabledPacks.map((pack) => {
+            if (this.isLocalPack(pack)) {
+                return this.loadLocalPack(pack);
+            }
+            return this.loadSourceData(this.getPackSource(pack), (data) => {
+                this.packData.set(pack.url, data);
+            });
+        }));
+
+        const packDataByUrl = new Map();
+        enabledPacks.forEach((pack, i) => {
+            if (!packData[i]) {
+                log.warn('init', `Skipping label pack ${pack.url}, no data available`);
+            }
+            packDataByUrl.set(pack.url, packData[i]);
+        });
+        return packDataByUrl;
+    }
+
+    // Record where each label came from, as `origin` 'official' or 'pack' (local labels are 'local'), and
+    // whether its id is given in the data itself. Only such ids are published; ids made up by the
+    // v1 -> v2 migration exist nowhere else.
+    tagLabelOrigin(labels, origin) {
+        return labels.map((label) => ({ ...label, origin, publishedId: label.entry.id !== undefined }));
+    }
+
+    // Combine the official data and the labels and shapes of all label packs. Only labels and shapes are
+    // taken from packs; announcements and other top-level fields are reserved for the official data.
+    mergeAppData() {
+        this.rejectedEntries = [];
+        const seenIds = new Set();
+        const officialData = this.sanitizeAppData(this.officialData, this.getOfficialSource(), seenIds);
+        const labels = this.tagLabelOrigin(officialData.labels, 'official');
+        const shapes = [...(officialData.shapes || [])];
+
+        for (const [url, data] of this.packData) {
+            if (!data) continue;
+            const packData = this.sanitizeAppData(data, this.getPackSource({ url }), seenIds);
+            labels.push(...this.tagLabelOrigin(packData.labels, 'pack'));
+            shapes.push(...(packData.shapes || []));
+        }
+
+        return { ...officialData, labels, shapes };
+    }
+
+    // Recompute the merged app data after a source changed, and notify listeners
+    updateAppData() {
+        this.appData = this.mergeAppData();
+        this.saveStatus();
+        this.notifyListeners();
+    }
+
+    // Load all sources and merge them
+    async loadAllSources() {
+        log.debug('init', "Loading app data");
+
+        const [officialData, packData] = await Promise.all([
+            this.loadOfficialAppData(),
+            this.loadPackData()
+        ]);
+        this.officialData = officialData;
+        this.packData = packData;
+
+        this.appData = this.mergeAppData();
+        this.saveStatus();
+        return this.appData;
+    }
+
     // Main method to load app data using the configured strategy
     async loadAppData() {
         if (this.appData) {
             return this.appData;
         }
 
-        log.debug('init', "Loading app data");
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.loadAllSources();
+        }
+        return this.loadingPromise;
+    }
 
-        const useRemote = await this.optionsManager.getOption('debug.enableRemoteConfig', true);
-        const useCache = await this.optionsManager.getOption('debug.enableRemoteConfigCache', true);
+    /**
+     * Add a listener for app data refreshed after the initial load
+     * @param {Function} callback - Called with the new merged app data
+     */
+    addChangeListener(callback) {
+        this.changeListeners.add(callback);
+    }
 
-        if (useRemote) {
-            if (useCache) {
-                const cachedData = await this.loadCachedAppData();
-                if (cachedData) {
-                    this.appData = cachedData;
-                    return this.appData;
-                }
-            }
+    /**
+     * Remove a change listener
+     * @param {Function} callback - Callback to remove
+     */
+    removeChangeListener(callback) {
+        this.changeListeners.delete(callback);
+    }
 
-            const remoteData = await this.loadRemoteAppData();
-            if (remoteData) {
-                this.appData = remoteData;
-                return this.appData;
+    /**
+     * Notify all listeners of refreshed app data
+     */
+    notifyListeners() {
+        for (const listener of this.changeListeners) {
+            try {
+                listener(this.appData);
+            } catch (e) {
+                log.error('init', 'Error in app data change listener:', e);
             }
         }
-
-        // Fall back to builtin app data
-        this.appData = await this.loadBuiltinAppData();
-        return this.appData;
     }
 
     // Get just the labels array
@@ -150,6 +628,12 @@ class AppDataManager {
         return data.labels || [];
     }
 
+    // Get just the shapes array
+    async getShapes() {
+        const data = await this.loadAppData();
+        return data.shapes || [];
+    }
+
     // Get just the announcements array
     async getAnnouncements() {
         const data = await this.loadAppData();
@@ -0,0 +1,97 @@
+// App Data Migrations
+// Upgrades app data of older formats, in memory, so the rest of the extension only sees the current format
+
+const APP_DATA_FORMAT_VERSION = 2;
+
+// Migrations keyed by the format version they upgrade from. Each takes data of that version and
+// returns data of the next version. Entries may still be invalid; they are validated after migration.
+const APP_DATA_MIGRATIONS = {
+    1: migrateAppDataV1ToV2
+};
+
+/**
+ * v1 -> v2: every label and shape gets an `id`.
+ * v1 entries have no identity, so the id is derived from the fields that place the entry (target and
+ * position, or target and path) and survives text edits and zoom range tweaks. Entries placed alike,
+ * e.g. zoom variants of one label, are told apart by a `-2`, `-3`... suffix in the order they appear, so
+ * their ids swap if they are reordered; data that needs lasting ids, like the official data, lists them.
+ */
+function migrateAppDataV1ToV2(data) {
+    const usedIds = new Set();
+    const withId = (entry, placement) => {
+        if (!(entry instanceof Object) || entry.id !== undefined) {
+            return entry;
+        }
+
+        const slug = String(entry.target || 'label')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'label';
+        const baseId = `${slug}-${hashString(JSON.stringify([entry.target, placement]))}`;
+
+        let id = baseId;
+        for (let i = 2; usedIds.has(id); i++) {
+            id = `${baseId}-${i}`;
+        }
+        usedIds.add(id);
+
+        return { id, ...entry };
+    };
+
+    const migrated = { ...data, formatVersion: 2 };
+    migrated.labels = data.labels.map((label) => withId(label, label?.latLng));
+    if (data.shapes instanceof Array) {
+        migrated.shapes = data.shapes.map((shape) => withId(shape, shape?.path));
+    }
+    return migrated;
+}
+
+class AppDataMigrations {
+    /**
+     * Get the format version of app data; data without one predates versioning and is v1
+     * @param {Object} data - App data
+     * @returns {number} Format version
+     */
+    static getFormatVersion(data) {
+        return data.formatVersion === undefined ? 1 : data.formatVersion;
+    }
+
+    /**
+     * Check that app data has a format version this extension can read
+     * @param {Object} data - App data
+     * @throws {Error} If the format version is unknown or newer than supported
+     */
+    static checkFormatVersion(data) {
+        const formatVersion = AppDataMigrations.getFormatVersion(data);
+        if (!Number.isInteger(formatVersion) || formatVersion < 1) {
+            throw new Error(`Invalid app data format version ${formatVersion}`);
+        }
+        if (formatVersion > APP_DATA_FORMAT_VERSION) {
+            throw new Error(`App data format version ${formatVersion} is newer than supported version ${APP_DATA_FORMAT_VERSION}`);
+        }
+    }
+
+    /**
+     * Upgrade app data to the current format by chaining migrations
+     * @param {Object} data - App data of any supported format version
+     * @returns {Object} App data of the current format version
+     */
+    static migrate(data) {
+        let migrated = data;
+        let formatVersion = AppDataMigrations.getFormatVersion(data);
+
+        while (formatVersion < APP_DATA_FORMAT_VERSION) {
+            migrated = APP_DATA_MIGRATIONS[formatVersion](migrated);
+            log.detail('init', `Migrated app data from format version ${formatVersion} to ${formatVersion + 1}`);
+            formatVersion += 1;
+        }
+
+        return migrated;
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.AppDataMigrations = AppDataMigrations;
+    window.APP_DATA_FORMAT_VERSION = APP_DATA_FORMAT_VERSION;
+}
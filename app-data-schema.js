@@ -0,0 +1,407 @@
+// App Data Schema
+// Declarative field checks for the label, shape and announcement entries of app data
+
+// Each check returns null when the value is acceptable, or a message describing the problem.
+const SCHEMA_CHECKS = {
+    labelId(value) {
+        return (typeof value === 'string' && /^[A-Za-z0-9._:-]+$/.test(value)) ?
+            null : 'must be a string of letters, digits, and . _ : -';
+    },
+
+    nonEmptyString(value) {
+        return (typeof value === 'string' && value.trim().length > 0) ? null : 'must be a non-empty string';
+    },
+
+    localizedText(value) {
+        if (typeof value === 'string') {
+            return SCHEMA_CHECKS.nonEmptyString(value);
+        }
+        if (!(value instanceof Object) || Array.isArray(value) || Object.keys(value).length === 0) {
+            return 'must be a non-empty string or a map of locale to string';
+        }
+        for (const [locale, text] of Object.entries(value)) {
+            if (!/^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/.test(locale)) {
+                return `locale '${locale}' is not a language tag`;
+            }
+            if (SCHEMA_CHECKS.nonEmptyString(text)) {
+                return `text for locale '${locale}' must be a non-empty string`;
+            }
+        }
+        return null;
+    },
+
+    positiveNumber(value) {
+        return (Number.isFinite(value) && value > 0) ? null : 'must be a positive number';
+    },
+
+    nonNegativeNumber(value) {
+        return (Number.isFinite(value) && value >= 0) ? null : 'must be a non-negative number';
+    },
+
+    opacity(value) {
+        return (Number.isFinite(value) && value >= 0 && value <= 1) ? null : 'must be a number from 0 to 1';
+    },
+
+    boolean(value) {
+        return typeof value === 'boolean' ? null : 'must be true or false';
+    },
+
+    fontWeight(value) {
+        if (value === 'normal' || value === 'bold') {
+            return null;
+        }
+        return (Number.isInteger(value) && value >= 100 && value <= 900 && value % 100 === 0) ?
+            null : "must be 'normal', 'bold' or a multiple of 100 from 100 to 900";
+    },
+
+    zoomStops(value) {
+        if (!Array.isArray(value) || value.length === 0) {
+            return 'must be a non-empty array of stops';
+        }
+        for (let i = 0; i < value.length; i++) {
+            const failure = AppDataSchema.validateEntry(value[i], ZOOM_STOP_SCHEMA);
+            if (failure) {
+                return `stop ${i} ${failure.field ? `${failure.field} ` : ''}${failure.message}`;
+            }
+            if (i > 0 && value[i].zoom <= value[i - 1].zoom) {
+                return `stop ${i} zoom must be greater than the zoom of the stop before it`;
+            }
+        }
+        return null;
+    },
+
+    labelStyle(value) {
+        return SCHEMA_CHECKS.styleFields(value, LABEL_STYLE_SCHEMA);
+    },
+
+    modeStyle(value) {
+        return SCHEMA_CHECKS.styleFields(value, MODE_STYLE_SCHEMA);
+    },
+
+    styleFields(value, schema) {
+        if (!(value instanceof Object) || Array.isArray(value)) {
+            return 'must be a dictionary of style fields';
+        }
+        const failure = AppDataSchema.validateEntry(value, schema);
+        return failure ? `${failure.field} ${failure.message}` : null;
+    },
+
+    finiteNumber(value) {
+        return Number.isFinite(value) ? null : 'must be a number';
+    },
+
+    latLng(value) {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+            return 'must be an array of two numbers [lat, lng]';
+        }
+        if (value[0] < -90 || value[0] > 90) {
+            return `latitude ${value[0]} out of range [-90, 90]`;
+        }
+        if (value[1] < -180 || value[1] > 180) {
+            return `longitude ${value[1]} out of range [-180, 180]`;
+        }
+        return null;
+    },
+
+    zoomLimits(value) {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+            return 'must be an array of two numbers [start, limit]';
+        }
+        if (value[0] < 0) {
+            return `start zoom ${value[0]} must not be negative`;
+        }
+        if (value[0] >= value[1]) {
+            return `start zoom ${value[0]} must be less than limit zoom ${value[1]}`;
+        }
+        return null;
+    },
+
+    offset(value) {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+            return 'must be an array of two numbers [x, y]';
+        }
+        return null;
+    },
+
+    size(value) {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every((length) => Number.isFinite(length) && length > 0)) {
+            return 'must be an array of two positive numbers [width, height]';
+        }
+        return null;
+    },
+
+    imageUrl(value) {
+        if (typeof value === 'string') {
+            if (value.startsWith('data:image/')) {
+                return null;
+            }
+            // Same schemes as label pack URLs, so a pack served by a local http: server can ship images
+            try {
+                if (['https:', 'http:'].includes(new URL(value).protocol)) {
+                    return null;
+                }
+            } catch (e) {
+                // Not an absolute URL
+            }
+        }
+        return 'must be an http(s) URL, a data:image/ URI, or relative to a fetched label pack';
+    },
+
+    backgroundType(value) {
+        return value === 'rect' ? null : "must be 'rect' if present";
+    },
+
+    categories(value) {
+        if (!Array.isArray(value) || value.length === 0) {
+            return 'must be a non-empty array of category names';
+        }
+        if (value.some((category) => SCHEMA_CHECKS.nonEmptyString(category))) {
+            return 'must only contain non-empty strings';
+        }
+        return null;
+    },
+
+    shapeType(value) {
+        return (value === 'polyline' || value === 'polygon') ? null : "must be 'polyline' or 'polygon'";
+    },
+
+    path(value) {
+        if (!Array.isArray(value) || value.length < 2) {
+            return 'must be an array of at least two [lat, lng] points';
+        }
+        for (let i = 0; i < value.length; i++) {
+            const message = SCHEMA_CHECKS.latLng(value[i]);
+            if (message) {
+                return `point ${i} ${message}`;
+            }
+        }
+        return null;
+    },
+
+    color(value) {
+        return (typeof value === 'string' && value.trim().length > 0) ? null : 'must be a CSS color string';
+    },
+
+    cover(value) {
+        if (value === true) {
+            return null;
+        }
+        if (!(value instanceof Object) || Array.isArray(value) || value.rect === undefined) {
+            return 'must be true or a dictionary with a rect';
+        }
+        const rect = value.rect;
+        if (!Array.isArray(rect) || rect.length !== 4 || !rect.every(Number.isFinite) || rect[2] <= 0 || rect[3] <= 0) {
+            return 'rect must be an array of four numbers [x, y, width, height] with a positive width and height';
+        }
+        return null;
+    },
+
+    lineDash(value) {
+        if (!Array.isArray(value) || !value.every((length) => Number.isFinite(length) && length >= 0)) {
+            return 'must be an array of non-negative dash and gap lengths';
+        }
+        return null;
+    },
+
+    dateString(value) {
+        if (typeof value !== 'string' || isNaN(new Date(value).getTime())) {
+            return 'must be a parseable date string';
+        }
+        return null;
+    }
+};
+
+// Field specifications for a single label, in the current app data format
+const LABEL_SCHEMA = {
+    id: { required: true, check: SCHEMA_CHECKS.labelId },
+    target: { required: true, check: SCHEMA_CHECKS.nonEmptyString },
+    latLng: { required: false, check: SCHEMA_CHECKS.latLng },
+    path: { required: false, check: SCHEMA_CHECKS.path },
+    text: { required: false, check: SCHEMA_CHECKS.localizedText },
+    zoomLimits: { required: true, check: SCHEMA_CHECKS.zoomLimits },
+    image: { required: false, check: SCHEMA_CHECKS.imageUrl },
+    imageSize: { required: false, check: SCHEMA_CHECKS.size },
+    scale: { required: false, check: SCHEMA_CHECKS.positiveNumber },
+    rotation: { required: false, check: SCHEMA_CHECKS.finiteNumber },
+    offset: { required: false, check: SCHEMA_CHECKS.offset },
+    backgroundType: { required: false, check: SCHEMA_CHECKS.backgroundType },
+    cover: { required: false, check: SCHEMA_CHECKS.cover },
+    style: { required: false, check: SCHEMA_CHECKS.labelStyle },
+    priority: { required: false, check: SCHEMA_CHECKS.finiteNumber },
+    stops: { required: false, check: SCHEMA_CHECKS.zoomStops },
+    rationale: { required: false, check: SCHEMA_CHECKS.nonEmptyString },
+    source: { required: false, check: SCHEMA_CHECKS.nonEmptyString },
+    'show-after': { required: false, check: SCHEMA_CHECKS.dateString },
+    'show-until': { required: false, check: SCHEMA_CHECKS.dateString },
+    categories: { required: false, check: SCHEMA_CHECKS.categories }
+};
+
+// A zoom stop of a label: values at one zoom level, interpolated between stops
+const ZOOM_STOP_SCHEMA = {
+    zoom: { required: true, check: SCHEMA_CHECKS.nonNegativeNumber },
+    scale: { required: false, check: SCHEMA_CHECKS.positiveNumber },
+    offset: { required: false, check: SCHEMA_CHECKS.offset },
+    opacity: { required: false, check: SCHEMA_CHECKS.opacity }
+};
+
+// Style fields of a label, for one view mode
+const MODE_STYLE_SCHEMA = {
+    fillColor: { required: false, check: SCHEMA_CHECKS.color },
+    strokeColor: { required: false, check: SCHEMA_CHECKS.color },
+    strokeWidth: { required: false, check: SCHEMA_CHECKS.nonNegativeNumber },
+    fontFamily: { required: false, check: SCHEMA_CHECKS.nonEmptyString },
+    fontWeight: { required: false, check: SCHEMA_CHECKS.fontWeight },
+    italic: { required: false, check: SCHEMA_CHECKS.boolean },
+    backgroundColor: { required: false, check: SCHEMA_CHECKS.color },
+    backgroundOpacity: { required: false, check: SCHEMA_CHECKS.opacity }
+};
+
+// Style of a label: fields for both view modes, with optional overrides for each
+const LABEL_STYLE_SCHEMA = {
+    ...MODE_STYLE_SCHEMA,
+    map: { required: false, check: SCHEMA_CHECKS.modeStyle },
+    satellite: { required: false, check: SCHEMA_CHECKS.modeStyle }
+};
+
+// Field specifications for a single shape, drawn on the map beneath the labels
+const SHAPE_SCHEMA = {
+    id: { required: true, check: SCHEMA_CHECKS.labelId },
+    target: { required: true, check: SCHEMA_CHECKS.nonEmptyString },
+    type: { required: true, check: SCHEMA_CHECKS.shapeType },
+    path: { required: true, check: SCHEMA_CHECKS.path },
+    zoomLimits: { required: true, check: SCHEMA_CHECKS.zoomLimits },
+    strokeColor: { required: false, check: SCHEMA_CHECKS.color },
+    strokeWidth: { required: false, check: SCHEMA_CHECKS.positiveNumber },
+    strokeDash: { required: false, check: SCHEMA_CHECKS.lineDash },
+    fillColor: { required: false, check: SCHEMA_CHECKS.color },
+    rationale: { required: false, check: SCHEMA_CHECKS.nonEmptyString },
+    source: { required: false, check: SCHEMA_CHECKS.nonEmptyString },
+    'show-after': { required: false, check: SCHEMA_CHECKS.dateString },
+    'show-until': { required: false, check: SCHEMA_CHECKS.dateString },
+    categories: { required: false, check: SCHEMA_CHECKS.categories }
+};
+
+// Field specifications for a single announcement
+const ANNOUNCEMENT_SCHEMA = {
+    contents: { required: true, check: SCHEMA_CHECKS.nonEmptyString },
+    'show-after': { required: true, check: SCHEMA_CHECKS.dateString }
+};
+
+class AppDataSchema {
+    /**
+     * Get the names of all label fields, in the order they are listed in the schema
+     * @returns {Array} Field names
+     */
+    static getLabelFields() {
+        return Object.keys(LABEL_SCHEMA);
+    }
+
+    /**
+     * Check whether a value can be used as a label or shape id, e.g. one taken from an imported file
+     * @param {*} value - Candidate id
+     * @returns {boolean} True if it is a valid id
+     */
+    static isValidId(value) {
+        return SCHEMA_CHECKS.labelId(value) === null;
+    }
+
+    /**
+     * Check an entry against a schema
+     * @param {Object} entry - The entry to check
+     * @param {Object} schema - Field specifications, keyed by field name
+     * @returns {Object|null} The first failure {field, message}, or null if the entry is valid
+     */
+    static validateEntry(entry, schema) {
+        if (!(entry instanceof Object) || Array.isArray(entry)) {
+            return { field: null, message: 'entry is not a dictionary' };
+        }
+
+        for (const [field, spec] of Object.entries(schema)) {
+            const value = entry[field];
+            if (value === undefined || value === null) {
+                if (spec.required) {
+                    return { field, message: 'is required' };
+                }
+                continue;
+            }
+
+            const message = spec.check(value);
+            if (message) {
+                return { field, message };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a single label
+     * @param {Object} label - The label configuration
+     * @returns {Object|null} The first failure {field, message}, or null if the label is valid
+     */
+    static validateLabel(label) {
+        const failure = AppDataSchema.validateEntry(label, LABEL_SCHEMA);
+        if (failure) {
+            return failure;
+        }
+
+        const has = (field) => label[field] !== undefined && label[field] !== null;
+        if (!has('latLng') && !has('path')) {
+            return { field: 'latLng', message: 'is required unless the label has a path' };
+        }
+        if (has('path') && !has('text')) {
+            return { field: 'text', message: 'is required for a label along a path' };
+        }
+        if (!has('text') && !has('image')) {
+            return { field: 'text', message: 'is required unless the label has an image' };
+        }
+        if (has('cover') && has('path')) {
+            return { field: 'cover', message: 'is not supported for a label along a path' };
+        }
+        return AppDataSchema.validateSchedule(label);
+    }
+
+    /**
+     * Check a single shape
+     * @param {Object} shape - The shape configuration
+     * @returns {Object|null} The first failure {field, message}, or null if the shape is valid
+     */
+    static validateShape(shape) {
+        const failure = AppDataSchema.validateEntry(shape, SHAPE_SCHEMA);
+        if (failure) {
+            return failure;
+        }
+
+        if (shape.type === 'polygon' && shape.path.length < 3) {
+            return { field: 'path', message: 'must have at least three points for a polygon' };
+        }
+        return AppDataSchema.validateSchedule(shape);
+    }
+
+    /**
+     * Check that an entry's optional show-after / show-until window isn't empty
+     * @param {Object} entry - A label or shape that passed its field checks
+     * @returns {Object|null} The failure {field, message}, or null if the window is valid
+     */
+    static validateSchedule(entry) {
+        if (entry['show-after'] && entry['show-until'] &&
+            new Date(entry['show-after']) >= new Date(entry['show-until'])) {
+            return { field: 'show-until', message: 'must be later than show-after' };
+        }
+        return null;
+    }
+
+    /**
+     * Check a single announcement
+     * @param {Object} announcement - The announcement configuration
+     * @returns {Object|null} The first failure {field, message}, or null if the announcement is valid
+     */
+    static validateAnnouncement(announcement) {
+        return AppDataSchema.validateEntry(announcement, ANNOUNCEMENT_SCHEMA);
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.AppDataSchema = AppDataSchema;
+}
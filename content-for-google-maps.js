@@ -23,9 +23,16 @@ log.info('init', `Extension initializing, version: ${version}`);
     log.error('init', 'Failed to initialize UUID:', e);
   });
 
-  // Load app data
+  // Load the labels the user has hidden
+  const hiddenLabelsManager = new HiddenLabelsManager();
+  const hiddenLabelIds = await hiddenLabelsManager.getHiddenLabelIds();
+
+  // Load app data, and the labels the user authored on this device
   const appDataManager = new AppDataManager(optionsManager);
-  const allLabels = await appDataManager.getLabels();
+  const localLabelsManager = new LocalLabelsManager();
+  let appLabels = await appDataManager.getLabels();
+  let localLabels = await localLabelsManager.getLabels();
+  const allLabels = [...appLabels, ...localLabels];
 
   const announcements = (await optionsManager.getOption('enableAnnouncements', true)) ?
       (await appDataManager.getAnnouncements()) : [];
@@ -43,6 +50,37 @@ log.info('init', `Extension initializing, version: ${version}`);
 
   log.debug('init', `Initialized in ${components.mode} mode`);
 
+  // Apply category toggles now and whenever they are changed in the popup
+  components.overlayEngine.setDisabledCategories(options.disabledCategories || []);
+  optionsManager.addChangeListener((newOptions) => {
+    components.overlayEngine.setDisabledCategories(newOptions.disabledCategories || []);
+  });
+
+  // Same for labels hidden or restored in the popup
+  components.overlayEngine.setHiddenLabelIds(hiddenLabelIds);
+  hiddenLabelsManager.addChangeListener((hiddenLabels) => {
+    components.overlayEngine.setHiddenLabelIds(Object.keys(hiddenLabels));
+  });
+
+  // Apply app data refreshed in the background, including a refresh that finished during canvas detection,
+  // and local labels added in this or another tab. Shapes only come from app data and label packs, and
+  // are applied with its labels so a refresh redraws once.
+  const applyAppData = (appData) => {
+    appLabels = appData.labels;
+    components.overlayEngine.setLabelsAndShapes([...appLabels, ...localLabels], appData.shapes || []);
+  };
+  appDataManager.addChangeListener(applyAppData);
+  localLabelsManager.addChangeListener((labels) => {
+    localLabels = labels;
+    components.overlayEngine.setLabels([...appLabels, ...localLabels]);
+  });
+  const currentData = await appDataManager.loadAppData();
+  if (currentData.labels !== appLabels) {
+    applyAppData(currentData);
+  } else {
+    components.overlayEngine.setShapes(currentData.shapes || []);
+  }
+
   // Update label renderer with the detected canvas
   labelRenderer.mapCanvas = components.mapCanvas;
 
@@ -56,5 +94,26 @@ log.info('init', `Extension initializing, version: ${version}`);
     log.debug('init', 'Canvas initialized, starting map state and overlay engine');
     components.mapState.initialize();
     components.overlayEngine.initialize();
+    new LocalLabelEditor(components.mapCanvas, components.mapState, localLabelsManager).initialize();
+
+    // Answer the popup's questions about the labels in this tab's view
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'WOKEMAPS_GET_VIEW_LABELS') {
+        sendResponse(components.overlayEngine.describeView());
+      }
+    });
+
+    // Info card for the label under the pointer, off while edit mode uses clicks on labels
+    const infoCard = new LabelInfoCard(components.mapCanvas, components.overlayEngine);
+    infoCard.initialize();
+
+    // Debug label placement editing, toggled from the popup
+    const placementEditor = new LabelPlacementEditor(components.mapCanvas, components.overlayEngine);
+    placementEditor.setEnabled(debugOptions.labelEditMode === true);
+    infoCard.setEnabled(debugOptions.labelEditMode !== true);
+    optionsManager.addChangeListener((newOptions) => {
+      placementEditor.setEnabled(newOptions.debug?.labelEditMode === true);
+      infoCard.setEnabled(newOptions.debug?.labelEditMode !== true);
+    });
   });
 })();
@@ -16,6 +16,28 @@
     const TILE_SIZE = 512;
     const allWebGLContexts = new Set();
 
+    // Map canvas regions under covered labels, whose surrounding color the isolated script paints
+    // over Google's own label with. Regions are in device pixels of the overlay when it was drawn,
+    // at the movement recorded here.
+    const coverSampler = {
+        regions: [],
+        movement: { x: 0, y: 0 },
+        postedColors: new Map(),
+        mapDrawnInFrame: false,
+        // Movement at the previous frame that drew the map, to tell when the map has stopped moving
+        frameMovement: { x: 0, y: 0 },
+        // When the regions were last sampled; -Infinity samples at the next frame the map is still
+        sampledAt: -Infinity,
+        disabled: false
+    };
+
+    // Width of the ring around a region whose pixels give its color, in device pixels
+    const COVER_SAMPLE_MARGIN = 3;
+    // Largest per-channel change in a region's color that isn't reported again
+    const COVER_COLOR_TOLERANCE = 8;
+    // Shortest time between samples while the map stays still, e.g. as tiles fade in, in milliseconds
+    const COVER_SAMPLE_INTERVAL = 250;
+
     // Override getContext to detect the main map rendering canvas
     const originalGetContext = HTMLCanvasElement.prototype.getContext;
 
@@ -206,6 +228,7 @@
             tileTracker.urlBaseline = anchor;
             tileTracker.totalMovement = { x: 0, y: 0 };
             tileTracker.frameBaseline = anchor;
+            coverSampler.regions = [];
 
             log.detail('state', `URL BASELINE set at virtual[${anchor.x}, ${anchor.y}]`);
 
@@ -262,6 +285,9 @@
             tileTracker.totalMovement = { x: 0, y: 0 };
         }
 
+        // The isolated script sends new regions once it has redrawn for the new baseline
+        coverSampler.regions = [];
+
         // Notify isolated world
         window.postMessage({
             type: 'WOKEMAPS_BASELINE_RESET'
@@ -323,6 +349,7 @@
             // Collect scissor calls for the main canvas
             if (tileTracker.canvasId === canvasInfo.id && width <= TILE_SIZE && height <= TILE_SIZE) {
                 tileTracker.currentFrame.tiles.push({ x, y, width, height });
+                coverSampler.mapDrawnInFrame = true;
             }
 
             log.detail('state', 'Captured scissor() call', x, y, width, height);
@@ -340,6 +367,7 @@
             allWebGLContexts.forEach(contextData => {
                 contextData.firstScissorInFrame = true;
             });
+            coverSampler.mapDrawnInFrame = false;
 
             log.detail('state', 'Starting new drawing frame');
             const result = callback(timestamp);
@@ -347,12 +375,138 @@
             // Process frame immediately after rendering
             processFrame();
 
+            // The WebGL drawing buffer is only readable until the frame is composited, so sample now
+            if (coverSampler.mapDrawnInFrame) {
+                sampleCoverColorsWhenSettled();
+            }
+
             window.dispatchEvent(new CustomEvent('wokemaps_canvasAnimationFrameComplete', {}));
 
             return result;
         });
     };
 
+    /**
+     * Sample cover colors after a frame that drew the map, unless the map is moving. Reading pixels stalls
+     * the GPU, so it isn't done on every frame of a pan or zoom animation, only once the map is still
+     * and then at most every COVER_SAMPLE_INTERVAL.
+     */
+    function sampleCoverColorsWhenSettled() {
+        const movement = tileTracker.totalMovement;
+        const moved = movement.x !== coverSampler.frameMovement.x || movement.y !== coverSampler.frameMovement.y;
+        coverSampler.frameMovement = { ...movement };
+        if (moved) {
+            coverSampler.sampledAt = -Infinity;
+            return;
+        }
+
+        const now = performance.now();
+        if (now - coverSampler.sampledAt < COVER_SAMPLE_INTERVAL) return;
+        coverSampler.sampledAt = now;
+        sampleCoverColors();
+    }
+
+    /**
+     * Sample the map color around each cover region, and send the colors that changed to the isolated script
+     */
+    function sampleCoverColors() {
+        if (!mapCanvasInfo || coverSampler.disabled || coverSampler.regions.length === 0) return;
+
+        // The WebGL canvas is redrawn in place as the map moves, so follow the regions along with the
+        // overlay's CSS translation. The 2D canvas moves itself, and the overlay with it.
+        let shiftX = 0;
+        let shiftY = 0;
+        if (mapCanvasInfo.contextType !== '2d') {
+            shiftX = tileTracker.totalMovement.x - coverSampler.movement.x;
+            shiftY = -(tileTracker.totalMovement.y - coverSampler.movement.y);
+        }
+
+        const colors = {};
+        try {
+            for (const region of coverSampler.regions) {
+                const color = sampleRegionColor(region.x + shiftX, region.y + shiftY, region.width, region.height);
+                if (!color) continue;
+
+                const posted = coverSampler.postedColors.get(region.id);
+                if (posted && posted.every((value, i) => Math.abs(value - color[i]) <= COVER_COLOR_TOLERANCE)) {
+                    continue;
+                }
+                coverSampler.postedColors.set(region.id, color);
+                colors[region.id] = `rgb(${color.join(', ')})`;
+            }
+        } catch (e) {
+            // A 2D canvas tainted by cross-origin tiles can't be read
+            log.warn('render', 'Cannot sample map colors, labels will not cover the map:', e);
+            coverSampler.disabled = true;
+            return;
+        }
+
+        if (Object.keys(colors).length > 0) {
+            log.detail('render', 'Sampled cover colors', colors);
+            window.postMessage({
+                type: 'WOKEMAPS_COVER_COLORS',
+                colors: colors
+            }, '*');
+        }
+    }
+
+    /**
+     * Find the color around a region of the map canvas: the per-channel median of a thin ring of pixels
+     * just outside it, which is robust to bits of text and roads crossing the ring
+     * @returns {Array|null} The color [r, g, b], or null if the ring is entirely off the canvas
+     */
+    function sampleRegionColor(x, y, width, height) {
+        const canvas = mapCanvasInfo.canvas;
+        const left = Math.max(0, x - COVER_SAMPLE_MARGIN);
+        const top = Math.max(0, y - COVER_SAMPLE_MARGIN);
+        const right = Math.min(canvas.width, x + width + COVER_SAMPLE_MARGIN);
+        const bottom = Math.min(canvas.height, y + height + COVER_SAMPLE_MARGIN);
+        if (right <= left || bottom <= top) return null;
+
+        const pixels = readMapPixels(left, top, right - left, bottom - top);
+        const channels = [[], [], []];
+        for (let row = top; row < bottom; row++) {
+            for (let column = left; column < right; column++) {
+                if (column >= x && column < x + width && row >= y && row < y + height) continue;
+                const i = ((row - top) * (right - left) + (column - left)) * 4;
+                channels[0].push(pixels[i]);
+                channels[1].push(pixels[i + 1]);
+                channels[2].push(pixels[i + 2]);
+            }
+        }
+        if (channels[0].length === 0) return null;
+
+        return channels.map((values) => {
+            values.sort((a, b) => a - b);
+            return values[Math.floor(values.length / 2)];
+        });
+    }
+
+    /**
+     * Read RGBA pixels of the map canvas, in rows from the top
+     */
+    function readMapPixels(x, y, width, height) {
+        const context = mapCanvasInfo.context;
+        if (mapCanvasInfo.contextType === '2d') {
+            return context.getImageData(x, y, width, height).data;
+        }
+
+        // Read the drawing buffer, not whatever framebuffer Maps left bound. WebGL rows start at the bottom.
+        const pixels = new Uint8Array(width * height * 4);
+        const framebuffer = context.getParameter(context.FRAMEBUFFER_BINDING);
+        context.bindFramebuffer(context.FRAMEBUFFER, null);
+        context.readPixels(x, context.drawingBufferHeight - y - height, width, height,
+            context.RGBA, context.UNSIGNED_BYTE, pixels);
+        context.bindFramebuffer(context.FRAMEBUFFER, framebuffer);
+
+        const rowLength = width * 4;
+        const rows = new Uint8Array(pixels.length);
+        for (let row = 0; row < height; row++) {
+            rows.set(pixels.subarray((height - 1 - row) * rowLength, (height - row) * rowLength), row * rowLength);
+        }
+        return rows;
+    }
+
     // Communicate map canvas info to isolated script
     function communicateMapCanvasInfo() {
         if (!mapCanvasInfo) return;
@@ -390,6 +544,18 @@
                 log.warn('init', `No overlay canvas found with id ${canvasId}`);
             }
         }
+
+        if (event.data.type === 'WOKEMAPS_SET_COVER_REGIONS') {
+            coverSampler.regions = event.data.regions;
+            coverSampler.movement = { ...tileTracker.totalMovement };
+            coverSampler.sampledAt = -Infinity;
+            log.detail('render', `Sampling colors for ${coverSampler.regions.length} cover regions`);
+
+            // The 2D canvas keeps its pixels between frames; WebGL waits for the next frame that draws the map
+            if (mapCanvasInfo && mapCanvasInfo.contextType === '2d') {
+                sampleCoverColors();
+            }
+        }
     });
 
 
@@ -401,6 +567,8 @@
 
         // Only track draw calls on the map canvas
         if (mapCanvasInfo && this.canvas === mapCanvasInfo.canvas && mapCanvasInfo.contextType === '2d') {
+            coverSampler.mapDrawnInFrame = true;
+
             // Send a custom event that the content script can listen for
             const transform = this.getTransform();
             let dx, dy, dw, dh;
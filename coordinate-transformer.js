@@ -38,6 +38,53 @@ class CoordinateTransformer {
         }
     }
 
+    /**
+     * Convert world pixel coordinates back to lat/lng, the inverse of googleMapsLatLngToPoint
+     * @param {number} x - World pixel x
+     * @param {number} y - World pixel y
+     * @param {number} zoom - Zoom level
+     * @returns {Object|null} Coordinates {lat, lng} or null if error
+     */
+    static googleMapsPointToLatLng(x, y, zoom) {
+        try {
+            const worldSize = Math.pow(2, zoom) * 256;
+
+            // Back to normalized coordinates between 0 and 1
+            const normX = x / worldSize;
+            const normY = y / worldSize;
+
+            // Invert the Mercator projection formula
+            const lng = normX * 360 - 180;
+            const mercN = (0.5 - normY) * 2 * Math.PI;
+            const lat = (2 * Math.atan(Math.exp(mercN)) - Math.PI / 2) * 180 / Math.PI;
+
+            return { lat, lng };
+        } catch (e) {
+            if (typeof log !== 'undefined') {
+                log.error('coord', "Error in googleMapsPointToLatLng:", e);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Find the lat/lng at a pixel offset from a lat/lng point
+     * @param {number} fromLat - Source latitude
+     * @param {number} fromLng - Source longitude
+     * @param {number} offsetX - Pixel offset x
+     * @param {number} offsetY - Pixel offset y
+     * @param {number} zoom - Zoom level
+     * @returns {Object|null} Coordinates {lat, lng} or null if error
+     */
+    static calculateLatLngAtPixelOffset(fromLat, fromLng, offsetX, offsetY, zoom) {
+        const fromPixel = this.googleMapsLatLngToPoint(fromLat, fromLng, zoom);
+        if (!fromPixel) return null;
+
+        // Pixel coordinates are floored, so aim for the middle of the target pixel; this way
+        // calculatePixelOffset from the same source gives back the same offset
+        return this.googleMapsPointToLatLng(fromPixel.x + offsetX + 0.5, fromPixel.y + offsetY + 0.5, zoom);
+    }
+
     /**
      * Calculate pixel coordinate offset between two lat/lng points
      * @param {number} fromLat - Source latitude
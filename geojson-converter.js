@@ -0,0 +1,98 @@
+// GeoJSON Converter
+// Converts between GeoJSON FeatureCollections of Points (or LineStrings, for labels along a path) and app data labels
+
+class GeoJsonConverter {
+    /**
+     * Check whether parsed JSON is a GeoJSON FeatureCollection
+     * @param {Object} data - Parsed JSON
+     * @returns {boolean} True if it is a FeatureCollection
+     */
+    static isFeatureCollection(data) {
+        return data instanceof Object && data.type === 'FeatureCollection' && Array.isArray(data.features);
+    }
+
+    /**
+     * Convert a FeatureCollection of Points and LineStrings to app data. Feature properties named like label fields
+     * become those fields; the zoom range may also be given as flat `minZoom` / `maxZoom` properties,
+     * which are easier to edit in GIS tools. Features without an id, or whose feature id isn't a valid
+     * label id, get one from the v1 -> v2 migration, like any other unversioned data.
+     * @param {Object} collection - GeoJSON FeatureCollection
+     * @returns {Object} App data with a labels array; entries are validated later like any other labels
+     */
+    static toAppData(collection) {
+        return {
+            labels: collection.features.map((feature) => GeoJsonConverter.featureToLabel(feature))
+        };
+    }
+
+    /**
+     * Convert a single Point or LineString feature to a label
+     * @param {Object} feature - GeoJSON Feature
+     * @returns {Object} Label configuration
+     */
+    static featureToLabel(feature) {
+        if (!(feature instanceof Object)) {
+            return feature;
+        }
+
+        const { minZoom, maxZoom, latLng, path, ...label } = feature.properties || {};
+        // Feature ids are often generated by GIS tools and may not be valid label ids
+        if (label.id === undefined && feature.id !== undefined && AppDataSchema.isValidId(String(feature.id))) {
+            label.id = String(feature.id);
+        }
+        if (label.zoomLimits === undefined && minZoom !== undefined && maxZoom !== undefined) {
+            label.zoomLimits = [minZoom, maxZoom];
+        }
+
+        // GeoJSON positions are [lng, lat] (optionally followed by altitude), labels use [lat, lng].
+        // A LineString is the path of a label along it. Anything else is left without a position, and is
+        // rejected by validation.
+        const geometry = feature.geometry;
+        if (geometry && geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+            label.latLng = [geometry.coordinates[1], geometry.coordinates[0]];
+        }
+        if (geometry && geometry.type === 'LineString' && Array.isArray(geometry.coordinates)) {
+            label.path = geometry.coordinates.map((position) =>
+                Array.isArray(position) ? [position[1], position[0]] : position);
+        }
+        return label;
+    }
+
+    /**
+     * Convert labels to a FeatureCollection of Points, and LineStrings for labels along a path
+     * @param {Array} labels - Label configurations
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    static fromLabels(labels) {
+        const fields = AppDataSchema.getLabelFields().filter((field) => field !== 'latLng' && field !== 'path');
+        return {
+            type: 'FeatureCollection',
+            features: labels.map((label) => {
+                // Only label fields, dropping render and bookkeeping properties such as `origin`
+                const properties = {};
+                for (const field of fields) {
+                    if (label[field] !== undefined) {
+                        properties[field] = label[field];
+                    }
+                }
+                return {
+                    type: 'Feature',
+                    id: label.id,
+                    geometry: label.path ? {
+                        type: 'LineString',
+                        coordinates: label.path.map((latLng) => [latLng[1], latLng[0]])
+                    } : {
+                        type: 'Point',
+                        coordinates: [label.latLng[1], label.latLng[0]]
+                    },
+                    properties
+                };
+            })
+        };
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.GeoJsonConverter = GeoJsonConverter;
+}
@@ -0,0 +1,153 @@
+// Hidden Labels Manager
+// Tracks the individual labels the user has hidden, synced across browsers
+
+class HiddenLabelsManager {
+    constructor() {
+        // Each hidden label is its own sync item holding when it was hidden, so the list isn't limited
+        // by the size of a single item
+        this.HIDDEN_LABEL_KEY_PREFIX = 'wokemaps_hidden_label_';
+        this.hiddenLabels = null;
+        // Whether the last failed save ran out of sync storage, as opposed to some other error
+        this.quotaExceeded = false;
+        this.changeListeners = new Set();
+        this.watchingForChanges = false;
+    }
+
+    // Load hidden labels from Chrome storage, keyed by label id, each {hiddenAt}
+    async getHiddenLabels() {
+        if (!this.hiddenLabels) {
+            const stored = await chrome.storage.sync.get(null);
+            const hiddenLabels = {};
+            for (const [key, hiddenAt] of Object.entries(stored)) {
+                if (key.startsWith(this.HIDDEN_LABEL_KEY_PREFIX)) {
+                    hiddenLabels[key.slice(this.HIDDEN_LABEL_KEY_PREFIX.length)] = { hiddenAt };
+                }
+            }
+            this.hiddenLabels = hiddenLabels;
+        }
+        return this.hiddenLabels;
+    }
+
+    // Get the ids of all hidden labels
+    async getHiddenLabelIds() {
+        return Object.keys(await this.getHiddenLabels());
+    }
+
+    // Run a sync storage change, noting whether a failure was the storage quota
+    async saveChange(change) {
+        try {
+            await change();
+            this.quotaExceeded = false;
+            return true;
+        } catch (e) {
+            this.quotaExceeded = /QUOTA|MAX_ITEMS/.test(e.message);
+            log.error('ui', 'Failed to save hidden labels:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Hide a label
+     * @param {Object} label - The label configuration
+     * @returns {Promise<boolean>} True if saved; if not, quotaExceeded tells whether sync storage is full
+     */
+    async hideLabel(label) {
+        const hiddenLabels = await this.getHiddenLabels();
+        const hiddenAt = new Date().toISOString();
+        log.debug('ui', `Hiding label ${label.id}`);
+        const saved = await this.saveChange(() =>
+            chrome.storage.sync.set({ [this.HIDDEN_LABEL_KEY_PREFIX + label.id]: hiddenAt }));
+        if (saved) {
+            this.hiddenLabels = { ...hiddenLabels, [label.id]: { hiddenAt } };
+        }
+        return saved;
+    }
+
+    /**
+     * Show a hidden label again
+     * @param {string} id - The label id
+     * @returns {Promise<boolean>} True if saved
+     */
+    async restoreLabel(id) {
+        const hiddenLabels = { ...(await this.getHiddenLabels()) };
+        log.debug('ui', `Restoring label ${id}`);
+        const saved = await this.saveChange(() => chrome.storage.sync.remove(this.HIDDEN_LABEL_KEY_PREFIX + id));
+        if (saved) {
+            delete hiddenLabels[id];
+            this.hiddenLabels = hiddenLabels;
+        }
+        return saved;
+    }
+
+    // Show all hidden labels again
+    async restoreAll() {
+        const keys = Object.keys(await chrome.storage.sync.get(null))
+            .filter((key) => key.startsWith(this.HIDDEN_LABEL_KEY_PREFIX));
+        const saved = await this.saveChange(() => chrome.storage.sync.remove(keys));
+        if (saved) {
+            this.hiddenLabels = {};
+        }
+        return saved;
+    }
+
+    // Keep the hidden labels in sync with changes saved elsewhere, e.g. by the popup
+    watchForChanges() {
+        if (this.watchingForChanges) return;
+        this.watchingForChanges = true;
+
+        chrome.storage.onChanged.addListener(async (changes, areaName) => {
+            if (areaName !== 'sync' || !Object.keys(changes).some((key) => key.startsWith(this.HIDDEN_LABEL_KEY_PREFIX))) {
+                return;
+            }
+
+            const hiddenLabels = { ...(await this.getHiddenLabels()) };
+            for (const [key, change] of Object.entries(changes)) {
+                if (!key.startsWith(this.HIDDEN_LABEL_KEY_PREFIX)) continue;
+                const id = key.slice(this.HIDDEN_LABEL_KEY_PREFIX.length);
+                if (change.newValue === undefined) {
+                    delete hiddenLabels[id];
+                } else {
+                    hiddenLabels[id] = { hiddenAt: change.newValue };
+                }
+            }
+            this.hiddenLabels = hiddenLabels;
+            log.debug('ui', `Hidden labels changed in storage, ${Object.keys(this.hiddenLabels).length} hidden`);
+            this.notifyListeners();
+        });
+    }
+
+    /**
+     * Add a listener for hidden labels changed in storage
+     * @param {Function} callback - Called with the hidden labels, keyed by label id
+     */
+    addChangeListener(callback) {
+        this.changeListeners.add(callback);
+        this.watchForChanges();
+    }
+
+    /**
+     * Remove a change listener
+     * @param {Function} callback - Callback to remove
+     */
+    removeChangeListener(callback) {
+        this.changeListeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of changed hidden labels
+     */
+    notifyListeners() {
+        for (const listener of this.changeListeners) {
+            try {
+                listener(this.hiddenLabels);
+            } catch (e) {
+                log.error('ui', 'Error in hidden labels change listener:', e);
+            }
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.HiddenLabelsManager = HiddenLabelsManager;
+}
@@ -0,0 +1,158 @@
+// KML Converter
+// Converts KML and KMZ files, e.g. exported from Google My Maps, to app data labels
+
+class KmlConverter {
+    /**
+     * Convert a KML document's Placemarks to app data. The Placemark name becomes the label text
+     * (and target, unless given), its description the rationale, and its Point the position.
+     * Optional ExtendedData values `target`, `minZoom`, `maxZoom`, `scale` and `rotation` set those
+     * fields. Placemarks without an id, or with one that isn't a valid label id, get one from the v1 -> v2
+     * migration, like any other unversioned data.
+     * @param {string} text - KML document
+     * @returns {Object} App data with a labels array; entries are validated later like any other labels
+     * @throws {Error} If the document is not KML
+     */
+    static toAppData(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'kml') {
+            throw new Error('Not a KML document');
+        }
+
+        const placemarks = Array.from(doc.getElementsByTagNameNS('*', 'Placemark'));
+        return {
+            labels: placemarks.map((placemark) => KmlConverter.placemarkToLabel(placemark))
+        };
+    }
+
+    /**
+     * Get the trimmed text of an element's first direct child with a tag name
+     * @param {Element} element - Parent element
+     * @param {string} tag - Local tag name
+     * @returns {string|undefined} The text, or undefined if there is no such child
+     */
+    static childText(element, tag) {
+        const child = Array.from(element.children).find((c) => c.localName === tag);
+        return child ? child.textContent.trim() : undefined;
+    }
+
+    /**
+     * Read ExtendedData name/value pairs, in either the untyped Data or the schema SimpleData form
+     * @param {Element} placemark - Placemark element
+     * @returns {Object} Values keyed by name
+     */
+    static extendedData(placemark) {
+        const values = {};
+        for (const data of placemark.getElementsByTagNameNS('*', 'Data')) {
+            const value = KmlConverter.childText(data, 'value');
+            if (data.getAttribute('name') && value !== undefined) {
+                values[data.getAttribute('name')] = value;
+            }
+        }
+        for (const data of placemark.getElementsByTagNameNS('*', 'SimpleData')) {
+            if (data.getAttribute('name')) {
+                values[data.getAttribute('name')] = data.textContent.trim();
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Convert a single Placemark to a label
+     * @param {Element} placemark - Placemark element
+     * @returns {Object} Label configuration
+     */
+    static placemarkToLabel(placemark) {
+        const name = KmlConverter.childText(placemark, 'name');
+        const description = KmlConverter.childText(placemark, 'description');
+        const data = KmlConverter.extendedData(placemark);
+        const number = (value) => value === undefined ? undefined : parseFloat(value);
+
+        const label = {
+            target: data.target || name,
+            text: name,
+            zoomLimits: [
+                number(data.minZoom) ?? KmlConverter.DEFAULT_ZOOM_LIMITS[0],
+                number(data.maxZoom) ?? KmlConverter.DEFAULT_ZOOM_LIMITS[1]
+            ]
+        };
+        if (AppDataSchema.isValidId(placemark.getAttribute('id'))) label.id = placemark.getAttribute('id');
+        if (description) label.rationale = description;
+        if (data.scale !== undefined) label.scale = number(data.scale);
+        if (data.rotation !== undefined) label.rotation = number(data.rotation);
+
+        // KML coordinates are "lng,lat[,altitude]", labels use [lat, lng]. Anything but a Point is left
+        // without a position, and is rejected by validation.
+        const point = placemark.getElementsByTagNameNS('*', 'Point')[0];
+        const coordinates = point ? KmlConverter.childText(point, 'coordinates') : undefined;
+        if (coordinates) {
+            const [lng, lat] = coordinates.split(',').map(parseFloat);
+            label.latLng = [lat, lng];
+        }
+        return label;
+    }
+
+    /**
+     * Extract the KML document from a KMZ (zip) archive: the first .kml file in it, by convention doc.kml
+     * @param {ArrayBuffer} buffer - KMZ file contents
+     * @returns {Promise<string>} KML document
+     * @throws {Error} If the archive can't be read or contains no KML
+     */
+    static async extractKml(buffer) {
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder();
+
+        // The end of central directory record is at the end, followed by a comment of up to 64KB
+        let endOfDirectory = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOfDirectory = i;
+                break;
+            }
+        }
+        if (endOfDirectory === -1) {
+            throw new Error('Not a KMZ (zip) archive');
+        }
+
+        const entryCount = view.getUint16(endOfDirectory + 10, true);
+        let offset = view.getUint32(endOfDirectory + 16, true);
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt KMZ archive');
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localHeaderOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            offset += 46 + nameLength + extraLength + commentLength;
+
+            if (!name.toLowerCase().endsWith('.kml')) continue;
+
+            // The local header's name and extra field lengths can differ from the central directory's
+            const dataStart = localHeaderOffset + 30 +
+                view.getUint16(localHeaderOffset + 26, true) + view.getUint16(localHeaderOffset + 28, true);
+            const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+            if (method === 0) {
+                return decoder.decode(data);
+            }
+            if (method === 8) {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Response(stream).text();
+            }
+            throw new Error(`Unsupported KMZ compression method ${method}`);
+        }
+
+        throw new Error('No KML document in KMZ archive');
+    }
+}
+
+// Zoom range for Placemarks without minZoom / maxZoom ExtendedData
+KmlConverter.DEFAULT_ZOOM_LIMITS = [10, 22];
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.KmlConverter = KmlConverter;
+}
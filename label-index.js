@@ -0,0 +1,223 @@
+// Label Index
+// Buckets labels (and shapes) by zoom level and map tile, so a redraw only needs to consider entries near the viewport
+
+class LabelIndex {
+    constructor() {
+        // Zoom levels beyond this share its buckets
+        this.MAX_INDEX_ZOOM = 22;
+        // Size of a bucket in world pixels at its zoom level, i.e. a standard map tile
+        this.BUCKET_SIZE = 256;
+        // Entries along a path spanning more buckets than this in either direction at a zoom level, e.g. a
+        // long river up close, aren't bucketed at that level but kept in a list checked by their bounds
+        this.MAX_ENTRY_BUCKETS = 4;
+
+        // zoom level -> bucket key -> entries
+        this.buckets = new Map();
+        // zoom level -> [{entry, bounds}] of entries too wide to bucket at that level
+        this.wideEntries = new Map();
+        // Largest pixel offset of any label from its lat/lng, used to widen queries
+        this.maxOffset = 0;
+        this.size = 0;
+    }
+
+    /**
+     * Rebuild the index from a set of entries
+     * @param {Array} entries - Label properties from LabelRenderer.getLabelProperties(), or shape properties
+     */
+    build(entries) {
+        this.buckets = new Map();
+        this.wideEntries = new Map();
+        this.maxOffset = 0;
+        this.size = 0;
+
+        for (const entry of entries) {
+            this.insert(entry);
+        }
+
+        log.debug('render', `LabelIndex: indexed ${entries.length} entries in ${this.buckets.size} zoom levels`);
+    }
+
+    /**
+     * Add a single entry to every zoom level it can be visible at
+     * @param {Object} entry - Label or shape properties, with a `latLng` or a `path`
+     */
+    insert(entry) {
+        this.size++;
+
+        // Zoom stops may move the label further than its base offset
+        const offsets = [entry.offset, ...(entry.stops || []).map((stop) => stop.offset)].filter(Boolean);
+        for (const offset of offsets) {
+            this.maxOffset = Math.max(this.maxOffset, Math.abs(offset[0]), Math.abs(offset[1]));
+        }
+
+        this.forEachZoom(entry, (zoom, bounds, cells) => {
+            if (!cells) {
+                this.getZoomList(this.wideEntries, zoom, () => []).push({ entry, bounds });
+                return;
+            }
+
+            const zoomBuckets = this.getZoomList(this.buckets, zoom, () => new Map());
+            for (let bucketX = cells.minX; bucketX <= cells.maxX; bucketX++) {
+                for (let bucketY = cells.minY; bucketY <= cells.maxY; bucketY++) {
+                    const key = this.bucketKey(zoom, bucketX, bucketY);
+                    let bucket = zoomBuckets.get(key);
+                    if (!bucket) {
+                        bucket = [];
+                        zoomBuckets.set(key, bucket);
+                    }
+                    bucket.push(entry);
+                }
+            }
+        });
+    }
+
+    /**
+     * Remove a single entry, e.g. before inserting its edited properties. The widest offset is kept,
+     * which only makes queries slightly wider than needed until the next build.
+     * @param {Object} entry - The same properties object that was inserted
+     */
+    remove(entry) {
+        let removed = false;
+        this.forEachZoom(entry, (zoom, bounds, cells) => {
+            if (!cells) {
+                const wide = this.wideEntries.get(zoom) || [];
+                const index = wide.findIndex((item) => item.entry === entry);
+                if (index !== -1) {
+                    wide.splice(index, 1);
+                    removed = true;
+                }
+                return;
+            }
+
+            const zoomBuckets = this.buckets.get(zoom);
+            if (!zoomBuckets) return;
+            for (let bucketX = cells.minX; bucketX <= cells.maxX; bucketX++) {
+                for (let bucketY = cells.minY; bucketY <= cells.maxY; bucketY++) {
+                    const key = this.bucketKey(zoom, bucketX, bucketY);
+                    const bucket = zoomBuckets.get(key);
+                    const index = bucket ? bucket.indexOf(entry) : -1;
+                    if (index === -1) continue;
+
+                    bucket.splice(index, 1);
+                    removed = true;
+                    if (bucket.length === 0) {
+                        zoomBuckets.delete(key);
+                    }
+                }
+            }
+        });
+        if (removed) {
+            this.size--;
+        }
+    }
+
+    /**
+     * Call back for each zoom level an entry can be visible at, with the buckets it belongs in there
+     * @param {Object} entry - Label or shape properties
+     * @param {Function} callback - Called with the zoom level, the entry's world bounds at MAX_INDEX_ZOOM, and
+     *     the range of buckets {minX, minY, maxX, maxY}, or null if it spans too many to bucket
+     */
+    forEachZoom(entry, callback) {
+        const bounds = this.getWorldBounds(entry);
+        if (!bounds) return;
+
+        const minZoom = this.clampZoom(Math.floor(entry.zoomLimits[0]));
+        const maxZoom = this.clampZoom(Math.ceil(entry.zoomLimits[1]) - 1);
+
+        for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+            // World pixel coordinates at a lower zoom are the max-zoom ones scaled down by powers of two
+            const divisor = Math.pow(2, this.MAX_INDEX_ZOOM - zoom) * this.BUCKET_SIZE;
+            const cells = {
+                minX: Math.floor(bounds.minX / divisor),
+                minY: Math.floor(bounds.minY / divisor),
+                maxX: Math.floor(bounds.maxX / divisor),
+                maxY: Math.floor(bounds.maxY / divisor)
+            };
+            const tooWide = cells.maxX - cells.minX >= this.MAX_ENTRY_BUCKETS ||
+                cells.maxY - cells.minY >= this.MAX_ENTRY_BUCKETS;
+            callback(zoom, bounds, tooWide ? null : cells);
+        }
+    }
+
+    /**
+     * Get the world pixel bounds of an entry's position, or of every point of its path, at MAX_INDEX_ZOOM
+     * @param {Object} entry - Label or shape properties
+     * @returns {Object|null} Bounds {minX, minY, maxX, maxY}, or null if a point can't be projected
+     */
+    getWorldBounds(entry) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const latLng of entry.latLng ? [entry.latLng] : entry.path) {
+            const point = CoordinateTransformer.googleMapsLatLngToPoint(latLng[0], latLng[1], this.MAX_INDEX_ZOOM);
+            if (!point) return null;
+            bounds.minX = Math.min(bounds.minX, point.x);
+            bounds.minY = Math.min(bounds.minY, point.y);
+            bounds.maxX = Math.max(bounds.maxX, point.x);
+            bounds.maxY = Math.max(bounds.maxY, point.y);
+        }
+        return bounds;
+    }
+
+    /**
+     * Find the entries that may be visible in a region of the map
+     * @param {number} zoom - Current (possibly fractional) zoom level
+     * @param {Object} bounds - Region in world pixels at the current zoom {minX, minY, maxX, maxY}
+     * @returns {Array} Candidate entries, each once; callers still check exact zoom limits and position
+     */
+    query(zoom, bounds) {
+        const indexZoom = this.clampZoom(Math.floor(zoom));
+        const candidates = new Set();
+
+        // Entries too wide to bucket are checked against the region directly, in max-zoom world pixels
+        const scale = Math.pow(2, this.MAX_INDEX_ZOOM - zoom);
+        for (const { entry, bounds: entryBounds } of this.wideEntries.get(indexZoom) || []) {
+            if (entryBounds.maxX >= bounds.minX * scale && entryBounds.minX <= bounds.maxX * scale &&
+                entryBounds.maxY >= bounds.minY * scale && entryBounds.minY <= bounds.maxY * scale) {
+                candidates.add(entry);
+            }
+        }
+
+        const zoomBuckets = this.buckets.get(indexZoom);
+        if (!zoomBuckets) return [...candidates];
+
+        // Convert bounds from the current zoom to bucket coordinates at the index zoom
+        const divisor = Math.pow(2, zoom - indexZoom) * this.BUCKET_SIZE;
+        const bucketCount = Math.pow(2, indexZoom);
+        const minBucketX = Math.max(0, Math.floor(bounds.minX / divisor));
+        const maxBucketX = Math.min(bucketCount - 1, Math.floor(bounds.maxX / divisor));
+        const minBucketY = Math.max(0, Math.floor(bounds.minY / divisor));
+        const maxBucketY = Math.min(bucketCount - 1, Math.floor(bounds.maxY / divisor));
+
+        for (let bucketX = minBucketX; bucketX <= maxBucketX; bucketX++) {
+            for (let bucketY = minBucketY; bucketY <= maxBucketY; bucketY++) {
+                const bucket = zoomBuckets.get(this.bucketKey(indexZoom, bucketX, bucketY));
+                if (bucket) {
+                    // An entry along a path can be in several of these buckets
+                    bucket.forEach((entry) => candidates.add(entry));
+                }
+            }
+        }
+        return [...candidates];
+    }
+
+    getZoomList(lists, zoom, create) {
+        let list = lists.get(zoom);
+        if (!list) {
+            list = create();
+            lists.set(zoom, list);
+        }
+        return list;
+    }
+
+    clampZoom(zoom) {
+        return Math.max(0, Math.min(this.MAX_INDEX_ZOOM, zoom));
+    }
+
+    bucketKey(zoom, bucketX, bucketY) {
+        return bucketX * Math.pow(2, zoom) + bucketY;
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.LabelIndex = LabelIndex;
+}
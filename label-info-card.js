@@ -0,0 +1,225 @@
+// Label Info Card
+// Shows a small card about the label under the pointer: what it replaces, why, and where to vote on it
+
+class LabelInfoCard {
+    constructor(mapCanvas, overlayEngine) {
+        this.mapCanvas = mapCanvas;
+        this.overlayEngine = overlayEngine;
+        this.VOTING_URL = 'https://wokemaps.org/labels/';
+        // How long the card stays up after the pointer leaves its label, so the pointer can reach the card
+        this.HIDE_DELAY = 300;
+        this.enabled = true;
+        this.card = null;
+        this.label = null;
+        this.pinned = false;
+        this.hideTimer = null;
+
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.scheduleHide = this.scheduleHide.bind(this);
+    }
+
+    /**
+     * Start watching the pointer over the map
+     */
+    initialize() {
+        // Passive listeners on the map container see pointer events on their way to Maps without blocking
+        // them; the overlay itself never receives events
+        const container = this.mapCanvas.parent;
+        container.addEventListener('pointermove', this.handlePointerMove, { capture: true, passive: true });
+        container.addEventListener('click', this.handleClick, { capture: true, passive: true });
+        container.addEventListener('pointerleave', this.scheduleHide, { passive: true });
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hide();
+            }
+        });
+        log.detail('init', 'LabelInfoCard: initialized');
+    }
+
+    /**
+     * Turn the card on or off, e.g. while the placement editor uses clicks on labels
+     * @param {boolean} enabled - Whether hovering labels shows the card
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.hide();
+        }
+    }
+
+    /**
+     * Find the label drawn under a pointer event
+     * @param {PointerEvent|MouseEvent} e - Pointer event on the map
+     * @returns {Object|null} The label properties, or null
+     */
+    findLabel(e) {
+        if (!this.mapCanvas.isMapEventTarget(e.target)) return null;
+        const position = this.mapCanvas.clientToOverlay(e.clientX, e.clientY);
+        return position ? this.overlayEngine.hitTest(position.x, position.y) : null;
+    }
+
+    /**
+     * Show the card for the hovered label, or hide it shortly after the pointer leaves the label
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerMove(e) {
+        if (!this.enabled || this.pinned) return;
+
+        const label = this.findLabel(e);
+        if (label) {
+            this.show(label, e.clientX, e.clientY);
+        } else {
+            this.scheduleHide();
+        }
+    }
+
+    /**
+     * Pin the card open on a click on a label, so its links can be used; a click elsewhere on the map
+     * closes it. Maps still gets the click.
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        if (!this.enabled) return;
+
+        const label = this.findLabel(e);
+        if (label) {
+            this.show(label, e.clientX, e.clientY);
+            this.pinned = true;
+        } else if (this.pinned) {
+            this.hide();
+        }
+    }
+
+    /**
+     * Hide the card after a moment, unless the pointer comes back to the label or onto the card
+     */
+    scheduleHide() {
+        if (this.pinned || !this.card || this.hideTimer) return;
+        this.hideTimer = setTimeout(() => this.hide(), this.HIDE_DELAY);
+    }
+
+    /**
+     * Stop a pending hide
+     */
+    cancelHide() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = null;
+    }
+
+    /**
+     * Show the card for a label next to the pointer, kept inside the window
+     * @param {Object} label - Label properties
+     * @param {number} clientX - Pointer position
+     * @param {number} clientY - Pointer position
+     */
+    show(label, clientX, clientY) {
+        this.cancelHide();
+        if (this.label && this.label.id === label.id) return;
+
+        this.hide();
+        const card = this.createCard(label);
+        document.body.appendChild(card);
+        const rect = card.getBoundingClientRect();
+        card.style.left = `${Math.max(0, Math.min(clientX + 12, window.innerWidth - rect.width))}px`;
+        card.style.top = `${Math.max(0, Math.min(clientY + 12, window.innerHeight - rect.height))}px`;
+
+        this.card = card;
+        this.label = label;
+        log.detail('ui', `Showing info card for label ${label.id}`);
+    }
+
+    /**
+     * Remove the card, if shown
+     */
+    hide() {
+        this.cancelHide();
+        if (this.card && this.card.parentNode) {
+            this.card.parentNode.removeChild(this.card);
+        }
+        this.card = null;
+        this.label = null;
+        this.pinned = false;
+    }
+
+    /**
+     * Build the card for a label: its target, its rationale or source, and a link to its voting page
+     * @param {Object} label - Label properties
+     * @returns {HTMLElement} The card
+     */
+    createCard(label) {
+        const card = document.createElement('div');
+        card.className = 'wokemaps-label-card';
+
+        const title = document.createElement('div');
+        title.className = 'wokemaps-label-card-title';
+        title.textContent = label.target;
+        card.appendChild(title);
+
+        if (label.rationale) {
+            const rationale = document.createElement('div');
+            rationale.className = 'wokemaps-label-card-rationale';
+            rationale.textContent = label.rationale;
+            card.appendChild(rationale);
+        }
+
+        if (label.source) {
+            const source = document.createElement('div');
+            source.className = 'wokemaps-label-card-source';
+            source.appendChild(document.createTextNode('Source: '));
+            source.appendChild(this.createSourceElement(label.source));
+            card.appendChild(source);
+        }
+
+        // wokemaps.org only has pages for the official labels, under the ids published in the official data
+        if (label.origin === 'official' && label.publishedId) {
+            card.appendChild(this.createLink(this.VOTING_URL + encodeURIComponent(label.id), 'Vote on this label'));
+        }
+
+        // Keep the pointer and clicks on the card away from Maps' own handlers, and the card open under the pointer
+        for (const type of ['pointerdown', 'pointerup', 'mousedown', 'mouseup', 'click', 'dblclick', 'wheel']) {
+            card.addEventListener(type, (e) => e.stopPropagation());
+        }
+        card.addEventListener('pointerenter', () => this.cancelHide());
+        card.addEventListener('pointerleave', this.scheduleHide);
+
+        return card;
+    }
+
+    /**
+     * Show a source as a link if it is a web URL, or as text otherwise
+     * @param {string} source - The label's source field
+     * @returns {Node} Link or text node
+     */
+    createSourceElement(source) {
+        try {
+            const url = new URL(source);
+            if (url.protocol === 'https:' || url.protocol === 'http:') {
+                return this.createLink(url.href, url.hostname);
+            }
+        } catch (e) {
+            // Not a URL, e.g. a citation
+        }
+        return document.createTextNode(source);
+    }
+
+    /**
+     * Create a link that opens in a new tab
+     * @param {string} href - Link target
+     * @param {string} text - Link text
+     * @returns {HTMLAnchorElement} The link
+     */
+    createLink(href, text) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.textContent = text;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        return link;
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.LabelInfoCard = LabelInfoCard;
+}
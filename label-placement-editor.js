@@ -0,0 +1,372 @@
+// Label Placement Editor
+// Debug-only edit mode for tuning label placement on the live map: click a label to select it, drag it
+// to adjust its offset, and copy the corrected entries as JSON for the app data file
+
+class LabelPlacementEditor {
+    constructor(mapCanvas, overlayEngine) {
+        this.mapCanvas = mapCanvas;
+        this.overlayEngine = overlayEngine;
+        this.enabled = false;
+        this.panel = null;
+        this.inputs = {};
+        this.titleEl = null;
+        this.statusEl = null;
+        this.selectedLabel = null;
+        this.drag = null;
+        this.suppressClick = false;
+        // Fields changed in this session by label id, in the order the labels were first changed
+        this.edits = new Map();
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Turn edit mode on or off
+     * @param {boolean} enabled - Whether edit mode should be on
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+
+        // Capture phase, so label drags can be kept from Maps, which would pan the map instead
+        const listeners = [
+            ['pointerdown', this.handlePointerDown],
+            ['pointermove', this.handlePointerMove],
+            ['pointerup', this.handlePointerUp],
+            ['click', this.handleClick],
+            ['keydown', this.handleKeyDown]
+        ];
+        for (const [type, listener] of listeners) {
+            if (enabled) {
+                window.addEventListener(type, listener, { capture: true });
+            } else {
+                window.removeEventListener(type, listener, { capture: true });
+            }
+        }
+
+        if (enabled) {
+            this.showPanel();
+        } else {
+            this.select(null);
+            this.hidePanel();
+        }
+        log.info('ui', `Label placement edit mode ${enabled ? 'on' : 'off'}`);
+    }
+
+    /**
+     * Select a label for editing
+     * @param {Object|null} label - Label properties, or null to clear the selection
+     */
+    select(label) {
+        this.selectedLabel = label;
+        this.overlayEngine.setHighlightedLabel(label ? label.id : null);
+        this.refreshPanel();
+    }
+
+    /**
+     * Get the label configuration fields of a label, without render-only properties
+     * @param {Object} label - Label properties
+     * @returns {Object} Label entry as it would appear in app data
+     */
+    toEntry(label) {
+        const entry = {};
+        for (const field of AppDataSchema.getLabelFields()) {
+            if (label[field] !== undefined) {
+                entry[field] = label[field];
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * Apply changes to the selected label, if the result is still a valid label
+     * @param {Object} changes - Label configuration fields to change
+     */
+    applyChanges(changes) {
+        if (!this.selectedLabel) return;
+
+        const failure = AppDataSchema.validateLabel(this.toEntry({ ...this.selectedLabel, ...changes }));
+        if (failure) {
+            this.setStatus(`${failure.field} ${failure.message}`);
+            this.refreshPanel();
+            return;
+        }
+
+        const label = this.overlayEngine.updateLabel(this.selectedLabel.id, changes);
+        if (!label) return;
+
+        this.edits.set(label.id, { ...this.edits.get(label.id), ...changes });
+        this.selectedLabel = label;
+        this.setStatus('');
+        this.refreshPanel();
+    }
+
+    /**
+     * Select the label under the pointer and start dragging it
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerDown(e) {
+        if (e.button !== 0 || !this.mapCanvas.isMapEventTarget(e.target)) return;
+
+        const position = this.mapCanvas.clientToOverlay(e.clientX, e.clientY);
+        const label = position ? this.overlayEngine.hitTest(position.x, position.y) : null;
+        if (!label) return; // Let Maps pan as usual
+
+        // Cancelling the pointerdown also keeps Maps from getting the matching mouse events
+        e.preventDefault();
+        e.stopPropagation();
+
+        this.select(label);
+        this.drag = {
+            startX: e.clientX,
+            startY: e.clientY,
+            startOffset: [...label.offset]
+        };
+    }
+
+    /**
+     * Move the dragged label
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerMove(e) {
+        if (!this.drag) return;
+        e.stopPropagation();
+
+        const offset = [
+            Math.round(this.drag.startOffset[0] + e.clientX - this.drag.startX),
+            Math.round(this.drag.startOffset[1] + e.clientY - this.drag.startY)
+        ];
+        if (offset[0] !== this.selectedLabel.offset[0] || offset[1] !== this.selectedLabel.offset[1]) {
+            this.applyChanges({ offset });
+        }
+    }
+
+    /**
+     * Finish dragging
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerUp(e) {
+        if (!this.drag) return;
+        e.stopPropagation();
+
+        this.drag = null;
+        this.suppressClick = true;
+    }
+
+    /**
+     * Keep the click that ends a drag from reaching Maps
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        if (!this.suppressClick) return;
+        e.preventDefault();
+        e.stopPropagation();
+        this.suppressClick = false;
+    }
+
+    /**
+     * Nudge the selected label with the arrow keys (shift for 10px), or deselect with Escape
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeyDown(e) {
+        if (!this.selectedLabel || (this.panel && this.panel.contains(e.target))) return;
+
+        const nudges = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+
+        if (e.key === 'Escape') {
+            this.select(null);
+        } else if (nudges[e.key]) {
+            const step = e.shiftKey ? 10 : 1;
+            this.applyChanges({
+                offset: [
+                    this.selectedLabel.offset[0] + nudges[e.key][0] * step,
+                    this.selectedLabel.offset[1] + nudges[e.key][1] * step
+                ]
+            });
+        } else {
+            return;
+        }
+
+        // Maps would pan on the arrow keys
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Create a number input in the panel that applies a change to the selected label
+     * @param {string} name - Field label
+     * @param {number} step - Step for the spinner
+     * @param {Function} toChanges - Turns the entered number into label changes
+     * @returns {HTMLElement} The row
+     */
+    createField(name, step, toChanges) {
+        const field = document.createElement('label');
+        field.className = 'wokemaps-label-editor-field';
+        const nameEl = document.createElement('span');
+        nameEl.textContent = name;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (Number.isFinite(value)) {
+                this.applyChanges(toChanges(value));
+            } else {
+                this.refreshPanel();
+            }
+        });
+        this.inputs[name] = input;
+
+        field.append(nameEl, input);
+        return field;
+    }
+
+    /**
+     * Show the edit mode panel
+     */
+    showPanel() {
+        if (this.panel) return;
+
+        const panel = document.createElement('div');
+        panel.id = 'wokemaps-placement-editor';
+        panel.className = 'wokemaps-label-editor wokemaps-placement-editor';
+
+        const title = document.createElement('div');
+        title.className = 'wokemaps-label-editor-title';
+        this.titleEl = title;
+
+        const hint = document.createElement('div');
+        hint.className = 'wokemaps-placement-editor-hint';
+        hint.textContent = 'Click a label to select it, drag to move it. Arrow keys nudge (shift: 10px).';
+
+        const label = () => this.selectedLabel;
+        const fields = [
+            this.createField('Offset X', 1, (x) => ({ offset: [Math.round(x), label().offset[1]] })),
+            this.createField('Offset Y', 1, (y) => ({ offset: [label().offset[0], Math.round(y)] })),
+            this.createField('Scale', 0.1, (scale) => ({ scale: Math.round(scale * 100) / 100 })),
+            this.createField('Rotation', 0.5, (rotation) => ({ rotation })),
+            this.createField('Show from zoom', 1, (zoom) => ({ zoomLimits: [zoom, label().zoomLimits[1]] })),
+            this.createField('Hide from zoom', 1, (zoom) => ({ zoomLimits: [label().zoomLimits[0], zoom] }))
+        ];
+
+        this.statusEl = document.createElement('div');
+        this.statusEl.className = 'wokemaps-label-editor-error';
+
+        const copyButton = document.createElement('button');
+        copyButton.textContent = 'Copy JSON';
+        copyButton.className = 'wokemaps-label-editor-save';
+        copyButton.addEventListener('click', () => this.copyJson());
+        const buttons = document.createElement('div');
+        buttons.className = 'wokemaps-label-editor-buttons';
+        buttons.append(copyButton);
+
+        panel.append(title, hint, ...fields, this.statusEl, buttons);
+
+        // Keep typing and clicking in the panel away from Maps' own handlers
+        for (const type of ['keydown', 'keyup', 'mousedown', 'mouseup', 'click', 'dblclick', 'wheel']) {
+            panel.addEventListener(type, (e) => e.stopPropagation());
+        }
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+        this.refreshPanel();
+    }
+
+    /**
+     * Remove the edit mode panel
+     */
+    hidePanel() {
+        if (this.panel && this.panel.parentNode) {
+            this.panel.parentNode.removeChild(this.panel);
+        }
+        this.panel = null;
+        this.inputs = {};
+    }
+
+    /**
+     * Show the selected label's values in the panel
+     */
+    refreshPanel() {
+        if (!this.panel) return;
+
+        const label = this.selectedLabel;
+        this.titleEl.textContent = label ? `Editing ${label.id}` : 'No label selected';
+        this.titleEl.title = label ? label.target : '';
+
+        const values = label ? {
+            'Offset X': label.offset[0],
+            'Offset Y': label.offset[1],
+            'Scale': label.scale,
+            'Rotation': label.rotation,
+            'Show from zoom': label.zoomLimits[0],
+            'Hide from zoom': label.zoomLimits[1]
+        } : {};
+        for (const [name, input] of Object.entries(this.inputs)) {
+            // Text along a path follows the path's angle; its offset still shifts the whole path
+            input.disabled = !label || (name === 'Rotation' && !!label.path);
+            input.value = label ? values[name] : '';
+        }
+    }
+
+    /**
+     * Show a message in the panel
+     * @param {string} message - Message, or empty to clear
+     */
+    setStatus(message) {
+        if (this.statusEl) {
+            this.statusEl.textContent = message;
+        }
+    }
+
+    /**
+     * Get a label's entry as written in its data file, with the fields changed in this session
+     * @param {string} id - The label id
+     * @returns {Object|null} Label entry, or null if the label is no longer loaded
+     */
+    getEditedEntry(id) {
+        const config = this.overlayEngine.getLabelConfig(id);
+        if (!config) return null;
+
+        // App data labels keep their entry from before migration; local labels are stored as they are
+        return { ...(config.entry || this.toEntry(config)), ...this.edits.get(id) };
+    }
+
+    /**
+     * Copy the edited label entries (or the selected one, if none were edited) to the clipboard
+     */
+    async copyJson() {
+        const ids = this.edits.size > 0 ?
+            [...this.edits.keys()] : (this.selectedLabel ? [this.selectedLabel.id] : []);
+        const entries = ids
+            .map((id) => this.getEditedEntry(id))
+            .filter(Boolean);
+        if (entries.length === 0) {
+            this.setStatus('Select a label first');
+            return;
+        }
+
+        const json = JSON.stringify(entries, null, 4);
+        try {
+            await navigator.clipboard.writeText(json);
+            this.setStatus(`Copied ${entries.length} label${entries.length === 1 ? '' : 's'}`);
+        } catch (e) {
+            this.setStatus('Copy failed, JSON logged to the console');
+        }
+        log.info('ui', 'Edited label entries:\n' + json);
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.LabelPlacementEditor = LabelPlacementEditor;
+}
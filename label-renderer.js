@@ -3,8 +3,50 @@
 
 class LabelRenderer {
     constructor(mapCanvas) {
+        this.DEFAULT_LOCALE = 'en';
+        // Image size in pixels at scale 1, for labels that don't give one
+        this.DEFAULT_IMAGE_SIZE = [24, 24];
+        // Look of labels in each view mode, which the label's style fields override
+        this.DEFAULT_STYLES = {
+            map: { fillColor: '#000033', strokeColor: null, strokeWidth: 3, fontWeight: 'bold', italic: false },
+            satellite: { fillColor: '#ffff77', strokeColor: '#000033', strokeWidth: 3, fontWeight: 'bold', italic: false }
+        };
+        // Background of labels with a background color or backgroundType 'rect' and no opacity
+        this.DEFAULT_BACKGROUND_OPACITY = 0.7;
+        // Space to leave at each end of the visible path of a label along a path, in pixels
+        this.PATH_PADDING = 8;
+
         this.mapCanvas = mapCanvas;
         this.fontLoaded = false;
+        this.preferredLocales = [];
+        // Decoded label images by URL, or null for images that failed to load
+        this.imageCache = new Map();
+        this.imageLoads = new Map();
+        this.updateLocale();
+    }
+
+    /**
+     * Re-read the preferred locales: the Maps UI language, then the browser language, then the default
+     * @returns {boolean} True if the preference changed and labels need redrawing
+     */
+    updateLocale() {
+        const preferredLocales = getPreferredLocales(URLParser.extractLanguage(), this.DEFAULT_LOCALE);
+        if (preferredLocales.join(',') === this.preferredLocales.join(',')) {
+            return false;
+        }
+
+        this.preferredLocales = preferredLocales;
+        log.debug('render', `Label locale preference: ${preferredLocales.join(', ')}`);
+        return true;
+    }
+
+    /**
+     * Pick the text to display for a label
+     * @param {string|Object} text - A string, or a map of locale to string
+     * @returns {string} The string for the best matching locale
+     */
+    getLocalizedText(text) {
+        return pickLocalizedText(text, this.preferredLocales);
     }
 
     /**
@@ -35,6 +77,46 @@ class LabelRenderer {
         }
     }
 
+    /**
+     * Decode the images of labels that aren't cached yet
+     * @param {Array} labels - Label configurations
+     * @returns {Promise<boolean>} True if any new image became available, and labels need redrawing
+     */
+    async loadImages(labels) {
+        const urls = new Set(labels.map((label) => label.image).filter((url) => url && !this.imageCache.has(url)));
+        const images = await Promise.all([...urls].map((url) => this.loadImage(url)));
+        return images.some(Boolean);
+    }
+
+    /**
+     * Decode a single image to an ImageBitmap and cache it, sharing the load with concurrent callers
+     * @param {string} url - Image URL
+     * @returns {Promise<ImageBitmap|null>} The image, or null if it failed to load
+     */
+    loadImage(url) {
+        if (!this.imageLoads.has(url)) {
+            const load = (async () => {
+                try {
+                    const image = new Image();
+                    image.src = url;
+                    await image.decode();
+                    const bitmap = await createImageBitmap(image);
+                    this.imageCache.set(url, bitmap);
+                    log.debug('render', `Loaded label image ${url.slice(0, 80)}`);
+                    return bitmap;
+                } catch (err) {
+                    log.warn('render', `Failed to load label image ${url.slice(0, 80)}:`, err);
+                    this.imageCache.set(url, null);
+                    return null;
+                } finally {
+                    this.imageLoads.delete(url);
+                }
+            })();
+            this.imageLoads.set(url, load);
+        }
+        return this.imageLoads.get(url);
+    }
+
     /**
      * Get label display properties with defaults applied
      * @param {Object} label - The label configuration
@@ -45,81 +127,417 @@ class LabelRenderer {
             ...label,
             scale: label.scale || 1.0,
             rotation: label.rotation || -1.5,
-            background: label.backgroundType === 'rect' ? '#ffffffb3' : '#00000000',
             offset: label.offset || [0, 0],
+            opacity: 1,
+            styles: {
+                map: this.resolveStyle(label, 'map'),
+                satellite: this.resolveStyle(label, 'satellite')
+            }
         };
     }
 
     /**
-     * Draw a label at the specified position and return its dimensions
-     * @param {CanvasRenderingContext2D} context - The canvas context to draw on
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
+     * Get label properties at a zoom level, interpolating scale, offset and opacity between the
+     * label's zoom stops. Below the first stop and above the last one, that stop's values apply.
      * @param {Object} labelProps - Label properties from getLabelProperties()
-     * @param {string} mode - 'map' or 'satellite' to specify the right style
-     * @returns {Object} Label dimensions {width, height}
+     * @param {number} zoom - Current, possibly fractional, zoom level
+     * @returns {Object} Label properties for this zoom
      */
-    drawLabelAtPosition(context, x, y, labelProps, mode) {
-        context.save();
-        const fontSize = 12 * labelProps.scale;
+    getLabelPropertiesAtZoom(labelProps, zoom) {
+        if (!labelProps.stops) return labelProps;
+
+        return {
+            ...labelProps,
+            scale: this.interpolateStops(labelProps.stops, 'scale', zoom, labelProps.scale),
+            offset: this.interpolateStops(labelProps.stops, 'offset', zoom, labelProps.offset),
+            opacity: this.interpolateStops(labelProps.stops, 'opacity', zoom, labelProps.opacity)
+        };
+    }
+
+    /**
+     * Interpolate one field between the zoom stops that set it
+     * @param {Array} stops - Zoom stops, in increasing zoom order
+     * @param {string} field - Field name; its values are numbers or arrays of numbers
+     * @param {number} zoom - Zoom level
+     * @param {number|Array} fallback - Value if no stop sets the field
+     * @returns {number|Array} The interpolated value
+     */
+    interpolateStops(stops, field, zoom, fallback) {
+        const defined = stops.filter((stop) => stop[field] !== undefined);
+        if (defined.length === 0) return fallback;
+
+        const i = defined.findIndex((stop) => zoom <= stop.zoom);
+        if (i === 0) return defined[0][field];
+        if (i === -1) return defined[defined.length - 1][field];
 
-        // Set font
-        if (this.fontLoaded) {
-            context.font = `bold ${fontSize}px "Permanent Marker", Arial, sans-serif`;
-        } else {
-            context.font = `bold ${fontSize}px Arial, sans-serif`;
+        const from = defined[i - 1];
+        const to = defined[i];
+        const t = (zoom - from.zoom) / (to.zoom - from.zoom);
+        const lerp = (a, b) => a + (b - a) * t;
+        return Array.isArray(from[field]) ?
+            from[field].map((value, j) => lerp(value, to[field][j])) :
+            lerp(from[field], to[field]);
+    }
+
+    /**
+     * Combine the default style of a view mode with the label's style and its override for that mode
+     * @param {Object} label - The label configuration
+     * @param {string} mode - 'map' or 'satellite'
+     * @returns {Object} Style with every field set; fontFamily and backgroundColor may be null for the defaults
+     */
+    resolveStyle(label, mode) {
+        const { map, satellite, ...style } = label.style || {};
+        const modeStyle = mode === 'satellite' ? satellite : map;
+        const resolved = {
+            fontFamily: null,
+            backgroundColor: null,
+            backgroundOpacity: this.DEFAULT_BACKGROUND_OPACITY,
+            ...this.DEFAULT_STYLES[mode],
+            ...style,
+            ...modeStyle
+        };
+
+        // backgroundType 'rect' is the original translucent white background
+        if (!resolved.backgroundColor && label.backgroundType === 'rect') {
+            resolved.backgroundColor = '#ffffff';
         }
+        return resolved;
+    }
 
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
+    /**
+     * Measure a label for the current locale, font and images, without drawing it
+     * @param {CanvasRenderingContext2D} context - The canvas context the label will be drawn on
+     * @param {Object} labelProps - Label properties from getLabelProperties()
+     * @param {string} mode - 'map' or 'satellite' to pick the label's style for that view mode
+     * @returns {Object} Layout for drawLabelAtPosition(), including the label's unrotated size
+     *     {width, height} and the size of its rotated bounding box {boundsWidth, boundsHeight}
+     */
+    layoutLabel(context, labelProps, mode) {
+        const fontSize = 12 * labelProps.scale;
+        const style = mode === 'satellite' ? labelProps.styles.satellite : labelProps.styles.map;
+        const fontFamily = style.fontFamily ||
+            (this.fontLoaded ? '"Permanent Marker", Arial, sans-serif' : 'Arial, sans-serif');
+        const font = `${style.italic ? 'italic ' : ''}${style.fontWeight} ${fontSize}px ${fontFamily}`;
 
         // Measure text
-        const lines = labelProps.text.split('\n');
+        context.save();
+        context.font = font;
+        const lines = labelProps.text ? this.getLocalizedText(labelProps.text).split('\n') : [];
         const textWidth = lines.reduce(
             (accumulator, line) => Math.max(accumulator, context.measureText(line).width),
             0
         );
+        context.restore();
         const lineHeight = fontSize + 6;
         const textHeight = lineHeight * lines.length;
         const padding = 8;
 
-        const totalWidth = textWidth + padding * 2;
-        const totalHeight = textHeight + padding * 2;
+        // Measure the image, drawn left of any text. Until it has loaded the label is drawn without it.
+        const image = labelProps.image ? this.imageCache.get(labelProps.image) : null;
+        const imageSize = labelProps.imageSize || this.DEFAULT_IMAGE_SIZE;
+        const imageWidth = image ? imageSize[0] * labelProps.scale : 0;
+        const imageHeight = image ? imageSize[1] * labelProps.scale : 0;
+        const gap = image && lines.length > 0 ? 4 * labelProps.scale : 0;
+        const contentWidth = imageWidth + gap + textWidth;
+
+        // An image-only label whose image isn't available has nothing to draw
+        const width = contentWidth === 0 ? 0 : contentWidth + padding * 2;
+        const height = contentWidth === 0 ? 0 : Math.max(textHeight, imageHeight) + padding * 2;
+
+        // The text and image are rotated, the background isn't; the bounding box covers both
+        const radians = labelProps.rotation * Math.PI / 180;
+        const cos = Math.abs(Math.cos(radians));
+        const sin = Math.abs(Math.sin(radians));
+        const boundsWidth = Math.max(width, width * cos + height * sin);
+        const boundsHeight = Math.max(height, width * sin + height * cos);
+
+        return {
+            style, font, lines, lineHeight, textWidth, image, imageWidth, imageHeight, gap, contentWidth,
+            width, height, boundsWidth, boundsHeight
+        };
+    }
+
+    /**
+     * Draw a label at the specified position and return its dimensions
+     * @param {CanvasRenderingContext2D} context - The canvas context to draw on
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} labelProps - Label properties from getLabelProperties()
+     * @param {string} mode - 'map' or 'satellite' to pick the label's style for that view mode
+     * @param {Object} layout - Layout from layoutLabel(), if the label was already measured
+     * @returns {Object} Label dimensions {width, height}
+     */
+    drawLabelAtPosition(context, x, y, labelProps, mode, layout = this.layoutLabel(context, labelProps, mode)) {
+        const { style, lines, lineHeight, textWidth, image, imageWidth, imageHeight, gap, contentWidth } = layout;
+        const totalWidth = layout.width;
+        const totalHeight = layout.height;
+        if (totalWidth === 0) {
+            return { width: 0, height: 0 };
+        }
+
+        context.save();
+        context.globalAlpha = labelProps.opacity;
+        context.font = layout.font;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
 
         // Draw background
-        context.fillStyle = labelProps.background;
-        context.fillRect(
-            x - totalWidth / 2,
-            y - totalHeight / 2,
-            totalWidth,
-            totalHeight
-        );
+        if (style.backgroundColor) {
+            context.save();
+            context.globalAlpha = style.backgroundOpacity;
+            context.fillStyle = style.backgroundColor;
+            context.fillRect(
+                x - totalWidth / 2,
+                y - totalHeight / 2,
+                totalWidth,
+                totalHeight
+            );
+            context.restore();
+        }
 
-        // Draw text with rotation
+        // Draw image and text with rotation
         context.translate(x, y);
         context.rotate(labelProps.rotation * Math.PI / 180);
 
-        if (mode === 'satellite') {
-            context.strokeStyle = '#000033';
-            context.lineWidth = 3;
-            context.fillStyle = '#ffff77';
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                context.strokeText(line, 0, (i - (lines.length - 1) / 2.0) * lineHeight);
-                context.fillText(line, 0, (i - (lines.length - 1) / 2.0) * lineHeight);
+        const stroked = style.strokeColor && style.strokeWidth > 0;
+        const left = -contentWidth / 2;
+        if (image) {
+            context.save();
+            if (stroked) {
+                // Outline the image like the text
+                context.shadowColor = style.strokeColor;
+                context.shadowBlur = style.strokeWidth;
             }
-        } else {
-            context.fillStyle = '#000033';
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i];
-                context.fillText(line, 0, (i - (lines.length - 1) / 2.0) * lineHeight);
+            context.drawImage(image, left, -imageHeight / 2, imageWidth, imageHeight);
+            context.restore();
+        }
+
+        const textX = left + imageWidth + gap + textWidth / 2;
+        context.fillStyle = style.fillColor;
+        if (stroked) {
+            context.strokeStyle = style.strokeColor;
+            context.lineWidth = style.strokeWidth;
+        }
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (stroked) {
+                context.strokeText(line, textX, (i - (lines.length - 1) / 2.0) * lineHeight);
             }
+            context.fillText(line, textX, (i - (lines.length - 1) / 2.0) * lineHeight);
         }
 
         context.restore();
         return { width: totalWidth, height: totalHeight };
     }
 
+    /**
+     * Get the patch of a covering label, relative to its position and scaled with it
+     * @param {Object} labelProps - Label properties from getLabelProperties(), with a cover
+     * @param {Object} layout - Layout from layoutLabel()
+     * @returns {Array} The patch [x, y, width, height] in pixels; cover: true is the label's own box
+     */
+    getCoverRect(labelProps, layout) {
+        if (labelProps.cover === true) {
+            return [-layout.width / 2, -layout.height / 2, layout.width, layout.height];
+        }
+        return labelProps.cover.rect.map((value) => value * labelProps.scale);
+    }
+
+    /**
+     * Paint a cover patch beneath everything already drawn on the canvas
+     * @param {CanvasRenderingContext2D} context - The canvas context to draw on
+     * @param {number} x - Left of the patch
+     * @param {number} y - Top of the patch
+     * @param {number} width - Patch width
+     * @param {number} height - Patch height
+     * @param {string} color - The map color around the patch
+     * @param {number} opacity - Opacity of the label the patch belongs to
+     */
+    drawCover(context, x, y, width, height, color, opacity) {
+        context.save();
+        context.globalCompositeOperation = 'destination-over';
+        context.globalAlpha = opacity;
+        context.fillStyle = color;
+        context.fillRect(x, y, width, height);
+        context.restore();
+    }
+
+    /**
+     * Lay out a label's text glyph by glyph along the longest visible run of its projected path
+     * @param {CanvasRenderingContext2D} context - The canvas context the label will be drawn on
+     * @param {Object} labelProps - Label properties from getLabelProperties()
+     * @param {string} mode - 'map' or 'satellite' to pick the label's style for that view mode
+     * @param {Array} points - Canvas coordinates {x, y} of the label's path
+     * @param {Object} viewport - Visible canvas region {minX, minY, maxX, maxY}
+     * @returns {Object|null} Layout for drawPathLabel(), with the placed glyphs {char, x, y, angle, width},
+     *     or null if the text doesn't fit the visible part of the path
+     */
+    layoutPathLabel(context, labelProps, mode, points, viewport) {
+        const layout = this.layoutLabel(context, labelProps, mode);
+        const text = layout.lines.join(' ');
+
+        // Glyphs are measured one at a time, as they are drawn
+        context.save();
+        context.font = layout.font;
+        const glyphs = Array.from(text).map((char) => ({ char, width: context.measureText(char).width }));
+        context.restore();
+        const textLength = glyphs.reduce((length, glyph) => length + glyph.width, 0);
+
+        const run = this.getLongestVisibleRun(points, viewport);
+        const runLength = run ? this.getPathLength(run) : 0;
+        if (textLength === 0 || textLength + this.PATH_PADDING * 2 > runLength) {
+            return null;
+        }
+
+        // Run the text left to right, so it isn't drawn upside down
+        if (run[run.length - 1].x < run[0].x) {
+            run.reverse();
+        }
+
+        // Center the text on the run, placing each glyph at the path position and angle under its middle
+        let distance = (runLength - textLength) / 2;
+        const placed = glyphs.map((glyph) => {
+            const position = this.getPointAlongPath(run, distance + glyph.width / 2);
+            distance += glyph.width;
+            return { ...glyph, ...position };
+        });
+
+        return { ...layout, glyphs: placed };
+    }
+
+    /**
+     * Draw a label laid out along a path
+     * @param {CanvasRenderingContext2D} context - The canvas context to draw on
+     * @param {Object} labelProps - Label properties from getLabelProperties()
+     * @param {Object} layout - Layout from layoutPathLabel()
+     */
+    drawPathLabel(context, labelProps, layout) {
+        const { style, glyphs } = layout;
+        const stroked = style.strokeColor && style.strokeWidth > 0;
+
+        context.save();
+        context.globalAlpha = labelProps.opacity;
+        context.font = layout.font;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = style.fillColor;
+        if (stroked) {
+            context.strokeStyle = style.strokeColor;
+            context.lineWidth = style.strokeWidth;
+        }
+
+        // Outline every glyph before filling any, so an outline never covers a neighboring glyph
+        const passes = stroked ? ['strokeText', 'fillText'] : ['fillText'];
+        for (const pass of passes) {
+            for (const glyph of glyphs) {
+                context.save();
+                context.translate(glyph.x, glyph.y);
+                context.rotate(glyph.angle);
+                context[pass](glyph.char, 0, 0);
+                context.restore();
+            }
+        }
+
+        context.restore();
+    }
+
+    /**
+     * Clip a path to a rectangle and find its longest contiguous part inside it
+     * @param {Array} points - Path points {x, y}
+     * @param {Object} rect - Rectangle {minX, minY, maxX, maxY}
+     * @returns {Array|null} Points of the longest visible run, or null if no part of the path is visible
+     */
+    getLongestVisibleRun(points, rect) {
+        const runs = [];
+        let run = null;
+        for (let i = 1; i < points.length; i++) {
+            const clipped = this.clipSegment(points[i - 1], points[i], rect);
+            if (!clipped) {
+                run = null;
+                continue;
+            }
+
+            // Continue the current run if this segment starts where the last one left the rectangle
+            const last = run && run[run.length - 1];
+            if (last && Math.abs(last.x - clipped[0].x) < 0.01 && Math.abs(last.y - clipped[0].y) < 0.01) {
+                run.push(clipped[1]);
+            } else {
+                run = [clipped[0], clipped[1]];
+                runs.push(run);
+            }
+        }
+
+        let longest = null;
+        let longestLength = 0;
+        for (const candidate of runs) {
+            const length = this.getPathLength(candidate);
+            if (length > longestLength) {
+                longest = candidate;
+                longestLength = length;
+            }
+        }
+        return longest;
+    }
+
+    /**
+     * Clip a line segment to a rectangle (Liang-Barsky)
+     * @returns {Array|null} The visible part [start, end], or null if the segment is outside the rectangle
+     */
+    clipSegment(a, b, rect) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        let t0 = 0;
+        let t1 = 1;
+        const edges = [[-dx, a.x - rect.minX], [dx, rect.maxX - a.x], [-dy, a.y - rect.minY], [dy, rect.maxY - a.y]];
+        for (const [p, q] of edges) {
+            if (p === 0) {
+                if (q < 0) return null; // Parallel to and outside this edge
+                continue;
+            }
+            const t = q / p;
+            if (p < 0) {
+                if (t > t1) return null;
+                t0 = Math.max(t0, t);
+            } else {
+                if (t < t0) return null;
+                t1 = Math.min(t1, t);
+            }
+        }
+        return [
+            { x: a.x + t0 * dx, y: a.y + t0 * dy },
+            { x: a.x + t1 * dx, y: a.y + t1 * dy }
+        ];
+    }
+
+    getPathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+
+    /**
+     * Find the point at a distance along a path, and the direction of the path there
+     * @returns {Object} Position and angle in radians {x, y, angle}
+     */
+    getPointAlongPath(points, distance) {
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+            const length = Math.hypot(to.x - from.x, to.y - from.y);
+            if (distance <= length || i === points.length - 1) {
+                const t = length > 0 ? Math.min(distance / length, 1) : 0;
+                return {
+                    x: from.x + (to.x - from.x) * t,
+                    y: from.y + (to.y - from.y) * t,
+                    angle: Math.atan2(to.y - from.y, to.x - from.x)
+                };
+            }
+            distance -= length;
+        }
+    }
+
 }
 
 // Export for use in other files
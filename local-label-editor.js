@@ -0,0 +1,191 @@
+// Local Label Editor
+// In-page editor for creating the user's own labels by alt-clicking a point on the map
+
+class LocalLabelEditor {
+    constructor(mapCanvas, mapState, localLabelsManager) {
+        this.mapCanvas = mapCanvas;
+        this.mapState = mapState;
+        this.localLabelsManager = localLabelsManager;
+        this.editor = null;
+        this.LOCAL_LABEL_TARGET = 'Local label';
+    }
+
+    /**
+     * Start listening for alt-clicks on the map
+     */
+    initialize() {
+        // Capture phase, so the click can be kept from Maps
+        window.addEventListener('click', (e) => this.handleClick(e), { capture: true });
+        log.detail('init', 'LocalLabelEditor: initialized');
+    }
+
+    /**
+     * Check whether an event target is part of the map, rather than Maps UI or our own editor
+     * @param {Element} target - Event target
+     * @returns {boolean} True if the target is the map
+     */
+    isMapTarget(target) {
+        if (this.editor && this.editor.contains(target)) return false;
+        return this.mapCanvas.isMapEventTarget(target);
+    }
+
+    /**
+     * Open the editor for an alt-click on the map
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        if (!e.altKey || !this.isMapTarget(e.target)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        const position = this.mapCanvas.clientToOverlay(e.clientX, e.clientY);
+        const latLng = position ? this.mapState.mapCanvasToLatLng(position.x, position.y) : null;
+        if (!latLng) {
+            log.warn('ui', 'Cannot place local label - map position unknown');
+            return;
+        }
+
+        log.debug('ui', `Alt-click at canvas ${position.x},${position.y} -> ${latLng.lat},${latLng.lng}`);
+        this.openEditor(latLng, e.clientX, e.clientY);
+    }
+
+    /**
+     * Create a labelled input row for the editor
+     * @param {string} text - Field label
+     * @param {HTMLElement} input - The input element
+     * @returns {HTMLElement} The row
+     */
+    createField(text, input) {
+        const field = document.createElement('label');
+        field.className = 'wokemaps-label-editor-field';
+        const name = document.createElement('span');
+        name.textContent = text;
+        field.append(name, input);
+        return field;
+    }
+
+    /**
+     * Create a number input
+     * @param {number} value - Initial value
+     * @param {number} step - Step for the spinner
+     * @returns {HTMLInputElement} The input
+     */
+    createNumberInput(value, step) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.value = value;
+        return input;
+    }
+
+    /**
+     * Show the editor for a new label at a map position
+     * @param {Object} latLng - Label position {lat, lng}
+     * @param {number} clientX - Where to show the editor
+     * @param {number} clientY - Where to show the editor
+     */
+    openEditor(latLng, clientX, clientY) {
+        this.closeEditor();
+
+        const zoom = Math.floor(this.mapState.zoom);
+
+        const editor = document.createElement('div');
+        editor.id = 'wokemaps-label-editor';
+        editor.className = 'wokemaps-label-editor';
+
+        const title = document.createElement('div');
+        title.className = 'wokemaps-label-editor-title';
+        title.textContent = `New label at ${latLng.lat.toFixed(5)}, ${latLng.lng.toFixed(5)}`;
+
+        const textInput = document.createElement('textarea');
+        textInput.rows = 2;
+        textInput.placeholder = 'Label text';
+
+        const scaleInput = this.createNumberInput(1, 0.1);
+        const rotationInput = this.createNumberInput(-1.5, 0.5);
+        const minZoomInput = this.createNumberInput(Math.max(0, zoom - 2), 1);
+        const maxZoomInput = this.createNumberInput(zoom + 3, 1);
+
+        const errorEl = document.createElement('div');
+        errorEl.className = 'wokemaps-label-editor-error';
+
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'Save';
+        saveButton.className = 'wokemaps-label-editor-save';
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        const buttons = document.createElement('div');
+        buttons.className = 'wokemaps-label-editor-buttons';
+        buttons.append(cancelButton, saveButton);
+
+        editor.append(
+            title,
+            textInput,
+            this.createField('Scale', scaleInput),
+            this.createField('Rotation', rotationInput),
+            this.createField('Show from zoom', minZoomInput),
+            this.createField('Hide from zoom', maxZoomInput),
+            errorEl,
+            buttons
+        );
+
+        // Keep typing and clicking in the editor away from Maps' own handlers
+        for (const type of ['keydown', 'keyup', 'mousedown', 'mouseup', 'click', 'dblclick', 'wheel']) {
+            editor.addEventListener(type, (e) => e.stopPropagation());
+        }
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeEditor();
+        });
+
+        cancelButton.addEventListener('click', () => this.closeEditor());
+        saveButton.addEventListener('click', async () => {
+            const label = {
+                id: this.localLabelsManager.createLabelId(),
+                target: this.LOCAL_LABEL_TARGET,
+                latLng: [parseFloat(latLng.lat.toFixed(6)), parseFloat(latLng.lng.toFixed(6))],
+                text: textInput.value.trim(),
+                zoomLimits: [parseFloat(minZoomInput.value), parseFloat(maxZoomInput.value)],
+                scale: parseFloat(scaleInput.value),
+                rotation: parseFloat(rotationInput.value)
+            };
+
+            const failure = AppDataSchema.validateLabel(label);
+            if (failure) {
+                errorEl.textContent = `${failure.field} ${failure.message}`;
+                return;
+            }
+
+            if (await this.localLabelsManager.saveLabel(label)) {
+                log.info('ui', `Saved local label ${label.id}`);
+                this.closeEditor();
+            } else {
+                errorEl.textContent = 'Failed to save label';
+            }
+        });
+
+        // Open at the click, kept inside the window
+        document.body.appendChild(editor);
+        const rect = editor.getBoundingClientRect();
+        editor.style.left = `${Math.max(0, Math.min(clientX, window.innerWidth - rect.width))}px`;
+        editor.style.top = `${Math.max(0, Math.min(clientY, window.innerHeight - rect.height))}px`;
+
+        this.editor = editor;
+        textInput.focus();
+    }
+
+    /**
+     * Remove the editor, if open
+     */
+    closeEditor() {
+        if (this.editor && this.editor.parentNode) {
+            this.editor.parentNode.removeChild(this.editor);
+        }
+        this.editor = null;
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.LocalLabelEditor = LocalLabelEditor;
+}
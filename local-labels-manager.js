@@ -0,0 +1,130 @@
+// Local Labels Manager
+// Stores labels the user has authored themselves, kept on this device only
+
+class LocalLabelsManager {
+    constructor() {
+        this.LOCAL_LABELS_STORAGE_KEY = 'wokemaps_local_labels';
+        this.ID_PREFIX = 'local-';
+        this.storedLabels = null;
+        this.changeListeners = new Set();
+        this.watchingForChanges = false;
+    }
+
+    // Load the stored labels from Chrome storage
+    async loadStoredLabels() {
+        if (!this.storedLabels) {
+            const result = await chrome.storage.local.get([this.LOCAL_LABELS_STORAGE_KEY]);
+            this.storedLabels = result[this.LOCAL_LABELS_STORAGE_KEY] || [];
+        }
+        return this.storedLabels;
+    }
+
+    // Keep only stored labels that pass validation, marked as local so they can be told apart from
+    // labels loaded from app data
+    prepareLabels(storedLabels) {
+        return storedLabels.filter((label) => {
+            const failure = AppDataSchema.validateLabel(label);
+            if (failure) {
+                log.warn('init', `Skipping invalid local label ${label.id}: ${failure.field} ${failure.message}`);
+                return false;
+            }
+            return true;
+        }).map((label) => ({ ...label, origin: 'local' }));
+    }
+
+    // Get the local labels, ready to render
+    async getLabels() {
+        return this.prepareLabels(await this.loadStoredLabels());
+    }
+
+    // Save the stored labels to Chrome storage
+    async saveStoredLabels(storedLabels) {
+        try {
+            await chrome.storage.local.set({ [this.LOCAL_LABELS_STORAGE_KEY]: storedLabels });
+            this.storedLabels = storedLabels;
+            return true;
+        } catch (e) {
+            log.error('ui', 'Failed to save local labels:', e);
+            return false;
+        }
+    }
+
+    // Generate an id that can't collide with app data labels
+    createLabelId() {
+        return `${this.ID_PREFIX}${crypto.randomUUID()}`;
+    }
+
+    /**
+     * Add a new local label, or replace the local label with the same id
+     * @param {Object} label - Label configuration including its id
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveLabel(label) {
+        const { origin, ...storedLabel } = label;
+        const storedLabels = (await this.loadStoredLabels()).filter((existing) => existing.id !== label.id);
+        storedLabels.push(storedLabel);
+        log.debug('ui', `Saving local label ${label.id}`);
+        return this.saveStoredLabels(storedLabels);
+    }
+
+    /**
+     * Delete a local label
+     * @param {string} id - The label id
+     * @returns {Promise<boolean>} True if saved
+     */
+    async removeLabel(id) {
+        const storedLabels = (await this.loadStoredLabels()).filter((existing) => existing.id !== id);
+        log.debug('ui', `Removing local label ${id}`);
+        return this.saveStoredLabels(storedLabels);
+    }
+
+    // Keep the local labels in sync with changes saved elsewhere, e.g. by another Maps tab or the popup
+    watchForChanges() {
+        if (this.watchingForChanges) return;
+        this.watchingForChanges = true;
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes[this.LOCAL_LABELS_STORAGE_KEY]) return;
+
+            this.storedLabels = changes[this.LOCAL_LABELS_STORAGE_KEY].newValue || [];
+            log.debug('ui', `Local labels changed in storage, ${this.storedLabels.length} labels`);
+            this.notifyListeners();
+        });
+    }
+
+    /**
+     * Add a listener for local labels changed in storage
+     * @param {Function} callback - Called with the local labels, ready to render
+     */
+    addChangeListener(callback) {
+        this.changeListeners.add(callback);
+        this.watchForChanges();
+    }
+
+    /**
+     * Remove a change listener
+     * @param {Function} callback - Callback to remove
+     */
+    removeChangeListener(callback) {
+        this.changeListeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of changed local labels
+     */
+    notifyListeners() {
+        const labels = this.prepareLabels(this.storedLabels);
+        for (const listener of this.changeListeners) {
+            try {
+                listener(labels);
+            } catch (e) {
+                log.error('ui', 'Error in local labels change listener:', e);
+            }
+        }
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.LocalLabelsManager = LocalLabelsManager;
+}
@@ -260,6 +260,25 @@ class MapCanvas {
         };
     }
 
+    // Check whether an event target is the map itself (or the element the map receives events
+    // through), rather than Maps UI on top of it
+    isMapEventTarget(target) {
+        if (!this.parent || !target) return false;
+        return this.parent.contains(target) || target.contains(this.mapCanvas);
+    }
+
+    // Convert a mouse event's client position to overlay canvas display coordinates. The overlay's
+    // bounding rect includes any translate applied to it, so this matches where labels are drawn.
+    clientToOverlay(clientX, clientY) {
+        if (!this.overlayCanvas) return null;
+
+        const rect = this.overlayCanvas.getBoundingClientRect();
+        return {
+            x: clientX - rect.left,
+            y: clientY - rect.top
+        };
+    }
+
     // Get the overlay context (this is what other components will draw to)
     get context() {
         return this.overlayContext;
@@ -254,6 +254,27 @@ class MapState2D {
         return { x, y };
     }
 
+    /**
+     * Convert canvas pixel coordinates to lat/lng, undoing mapLatLngToCanvas (2D mode)
+     * @param {number} x - Canvas x in display pixels
+     * @param {number} y - Canvas y in display pixels
+     * @returns {Object|null} Coordinates {lat, lng} or null if error
+     */
+    mapCanvasToLatLng(x, y) {
+        if (!this.center) return null;
+
+        const parentDimensions = this.mapCanvas.getParentDimensions();
+        const canvasCenterX = parentDimensions.width / 2;
+        const canvasCenterY = parentDimensions.height / 2;
+
+        const offsetX = x - canvasCenterX + this.canvasTransform.translateX;
+        const offsetY = y - canvasCenterY + this.canvasTransform.translateY;
+
+        return CoordinateTransformer.calculateLatLngAtPixelOffset(
+            this.center.lat, this.center.lng, offsetX, offsetY, this.zoom
+        );
+    }
+
     // Handle map interactions that might result in a zoom
     handlePotentialZoomInteraction() {
         this.isPotentiallyZooming = true;
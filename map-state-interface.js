@@ -24,6 +24,16 @@ class MapStateInterface {
         throw new Error('MapState.mapLatLngToCanvas() must be implemented');
     }
 
+    /**
+     * Convert canvas pixel coordinates to lat/lng, the inverse of mapLatLngToCanvas
+     * @param {number} x - Canvas x in display pixels
+     * @param {number} y - Canvas y in display pixels
+     * @returns {Object|null} Coordinates {lat, lng} or null if error
+     */
+    mapCanvasToLatLng(x, y) {
+        throw new Error('MapState.mapCanvasToLatLng() must be implemented');
+    }
+
     /**
      * Update position information from URL
      */
@@ -101,7 +111,7 @@ class MapStateInterface {
  */
 function validateMapStateInterface(mapState) {
     const requiredMethods = [
-        'initialize', 'mapLatLngToCanvas', 'updatePositionFromUrl',
+        'initialize', 'mapLatLngToCanvas', 'mapCanvasToLatLng', 'updatePositionFromUrl',
         'addChangeListener', 'removeChangeListener', 'handleUrlChanged',
         'handlePotentialZoomInteraction', 'cleanup', 'isValid'
     ];
@@ -181,6 +181,28 @@ class MapStateWebGL {
         return { x, y };
     }
 
+    /**
+     * Convert canvas pixel coordinates to lat/lng, undoing mapLatLngToCanvas (WebGL mode)
+     * @param {number} x - Canvas x in display pixels
+     * @param {number} y - Canvas y in display pixels
+     * @returns {Object|null} Coordinates {lat, lng} or null if error
+     */
+    mapCanvasToLatLng(x, y) {
+        if (!this.center) return null;
+
+        const canvasDimensions = this.mapCanvas.getDimensions();
+        const devicePixelRatio = window.devicePixelRatio || 1;
+        const canvasCenterX = (canvasDimensions.width / devicePixelRatio) / 2;
+        const canvasCenterY = (canvasDimensions.height / devicePixelRatio) / 2;
+
+        const offsetX = x - canvasCenterX - this.movementOffset.x;
+        const offsetY = y - canvasCenterY - this.movementOffset.y;
+
+        return CoordinateTransformer.calculateLatLngAtPixelOffset(
+            this.center.lat, this.center.lng, offsetX, offsetY, this.zoom
+        );
+    }
+
     /**
      * Handle map interactions that might result in a zoom
      */
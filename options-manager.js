@@ -6,6 +6,8 @@ class OptionsManager {
         this.OPTIONS_STORAGE_KEY = 'wokemaps_options';
         this.defaultOptions = null;
         this.currentOptions = null;
+        this.changeListeners = new Set();
+        this.watchingForChanges = false;
     }
 
     // Load default options from the bundled JSON file
@@ -82,6 +84,52 @@ class OptionsManager {
         }
     }
 
+    // Keep the current options in sync with changes saved elsewhere, e.g. by the popup
+    watchForChanges() {
+        if (this.watchingForChanges) return;
+        this.watchingForChanges = true;
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'sync' || !changes[this.OPTIONS_STORAGE_KEY]) return;
+
+            // A removed key means options were reset to defaults
+            const newOptions = changes[this.OPTIONS_STORAGE_KEY].newValue;
+            this.currentOptions = newOptions || { ...this.defaultOptions };
+            log.debug('init', "Options changed in storage", this.currentOptions);
+            this.notifyListeners();
+        });
+    }
+
+    /**
+     * Add a listener for options changed in storage, e.g. toggled in the popup
+     * @param {Function} callback - Called with the new options
+     */
+    addChangeListener(callback) {
+        this.changeListeners.add(callback);
+        this.watchForChanges();
+    }
+
+    /**
+     * Remove a change listener
+     * @param {Function} callback - Callback to remove
+     */
+    removeChangeListener(callback) {
+        this.changeListeners.delete(callback);
+    }
+
+    /**
+     * Notify all listeners of changed options
+     */
+    notifyListeners() {
+        for (const listener of this.changeListeners) {
+            try {
+                listener(this.currentOptions);
+            } catch (e) {
+                log.error('init', 'Error in options change listener:', e);
+            }
+        }
+    }
+
     // Reset options to defaults
     async resetToDefaults() {
         try {
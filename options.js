@@ -0,0 +1,96 @@
+// Woke Maps Options Page
+// Label import and export
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const optionsManager = new OptionsManager();
+    const appDataManager = new AppDataManager(optionsManager);
+    appDataManager.readOnly = true;
+    const localLabelsManager = new LocalLabelsManager();
+
+    // Show status message
+    function showStatus(message, type = 'success') {
+        const statusEl = document.getElementById('status');
+        statusEl.textContent = message;
+        statusEl.className = `status ${type}`;
+        statusEl.style.display = 'block';
+
+        setTimeout(() => {
+            statusEl.style.display = 'none';
+        }, 5000);
+    }
+
+    // Convert the contents of an imported file to app data, by extension for KML / KMZ and as JSON otherwise
+    async function readImportFile(file) {
+        const name = file.name.toLowerCase();
+        if (name.endsWith('.kmz')) {
+            return KmlConverter.toAppData(await KmlConverter.extractKml(await file.arrayBuffer()));
+        }
+        if (name.endsWith('.kml')) {
+            return KmlConverter.toAppData(await file.text());
+        }
+        return appDataManager.parseAppData(await file.text());
+    }
+
+    // Save imported app data as a local label pack, and add it to the configured packs
+    async function importLabels(file) {
+        let data;
+        try {
+            data = await readImportFile(file);
+        } catch (e) {
+            showStatus(`Could not read ${file.name}: ${e.message}`, 'error');
+            return;
+        }
+
+        try {
+            const pack = await appDataManager.saveLocalPack(file.name, data);
+            const currentOptions = await optionsManager.getOptions();
+            currentOptions.labelPacks = [...(currentOptions.labelPacks || []), pack];
+
+            if (await optionsManager.saveOptions(currentOptions)) {
+                showStatus(`Imported ${data.labels.length} labels from ${file.name}, reload Maps to apply`);
+            } else {
+                await appDataManager.removeLocalPack(pack);
+                showStatus('Failed to save label pack', 'error');
+            }
+        } catch (e) {
+            showStatus(`Could not import ${file.name}: ${e.message}`, 'error');
+        }
+    }
+
+    // Download the current label set, including the user's own labels, as GeoJSON
+    async function exportGeoJson() {
+        const labels = [...(await appDataManager.getLabels()), ...(await localLabelsManager.getLabels())];
+        const collection = GeoJsonConverter.fromLabels(labels);
+
+        const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/geo+json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'wokemaps-labels.geojson';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        showStatus(`Exported ${labels.length} labels`);
+    }
+
+    document.getElementById('importLabels').addEventListener('click', function() {
+        document.getElementById('importFile').click();
+    });
+
+    document.getElementById('importFile').addEventListener('change', async function() {
+        const file = this.files[0];
+        this.value = '';
+        if (file) {
+            await importLabels(file);
+        }
+    });
+
+    document.getElementById('exportGeoJson').addEventListener('click', async function() {
+        try {
+            await exportGeoJson();
+        } catch (e) {
+            console.error('Error exporting labels:', e);
+            showStatus('Failed to export labels', 'error');
+        }
+    });
+});
@@ -7,7 +7,39 @@ class OverlayEngine {
         this.mapState = mapState;
         this.labelRenderer = labelRenderer;
         this.debugOptions = debugOptions;
+        // The configurations as given, without the defaults of the render properties
+        this.labelConfigs = new Map(allLabels.map((label) => [label.id, label]));
         this.allLabels = allLabels.map((label) => labelRenderer.getLabelProperties(label));
+        this.labelIndex = new LabelIndex();
+        this.labelIndex.build(this.allLabels);
+        this.loadLabelImages();
+        this.shapeRenderer = new ShapeRenderer();
+        this.allShapes = [];
+        this.shapeIndex = new LabelIndex();
+        this.disabledCategories = new Set();
+        this.hiddenLabelIds = new Set();
+        // Where each label was drawn in the last redraw, for hit testing
+        this.renderedLabels = [];
+        // Why labels that should have been shown weren't drawn in the last redraw, by label id
+        this.skippedLabels = new Map();
+        this.highlightedLabelId = null;
+        // Map colors around covering labels by label id, sampled by the in-page script, and the regions
+        // to sample in the last redraw
+        this.coverColors = new Map();
+        this.coverRegions = [];
+        this.coverRegionsPosted = false;
+        this.initialized = false;
+
+        // Where to try placing a label that collides with one already placed, in multiples of its size:
+        // at its position, then just above, below, right and left of it
+        this.ANCHOR_SHIFTS = [[0, 0], [0, -1], [0, 1], [1, 0], [-1, 0]];
+
+        // How many zoom levels away from the current zoom a label's zoom range may be to count as nearby
+        this.NEARBY_ZOOM_LEVELS = 2;
+
+        // Longest a schedule timer is set for; setTimeout overflows past ~24.8 days
+        this.MAX_SCHEDULE_DELAY = 24 * 60 * 60 * 1000;
+        this.scheduleTimer = null;
     }
 
     /**
@@ -19,13 +51,350 @@ class OverlayEngine {
         this.mapCanvas.addChangeListener((changeType) => this.handleCanvasChange(changeType));
         window.addEventListener('wokemaps_canvasDrawImageCalled', (e) => this.handleCanvasImageDrawn(e));
         window.addEventListener('wokemaps_canvasAnimationFrameComplete', (e) => this.handleCanvasRedrawComplete(e));
+        window.addEventListener('wokemaps_urlChanged', () => this.handleUrlChanged());
+        window.addEventListener('popstate', () => this.handleUrlChanged());
+        window.addEventListener('message', (event) => {
+            if (event.origin !== window.location.origin) return;
+            if (event.data.type === 'WOKEMAPS_COVER_COLORS') {
+                this.handleCoverColors(event.data.colors);
+            }
+        });
 
         // Initial render
+        this.initialized = true;
         this.redrawAllLabels();
+        this.scheduleNextTransition();
 
         log.detail('init','OverlayEngine: initialized');
     }
 
+    /**
+     * Replace the set of labels, e.g. after app data was refreshed in the background
+     * @param {Array} allLabels - Label configurations
+     */
+    setLabels(allLabels) {
+        this.replaceLabels(allLabels);
+        this.redrawAfterReplace();
+    }
+
+    /**
+     * Replace the labels and shapes together, e.g. with refreshed app data, redrawing once
+     * @param {Array} allLabels - Label configurations
+     * @param {Array} allShapes - Shape configurations
+     */
+    setLabelsAndShapes(allLabels, allShapes) {
+        this.replaceLabels(allLabels);
+        this.replaceShapes(allShapes);
+        this.redrawAfterReplace();
+    }
+
+    replaceLabels(allLabels) {
+        // The configurations as given, without the defaults of the render properties
+        this.labelConfigs = new Map(allLabels.map((label) => [label.id, label]));
+        this.allLabels = allLabels.map((label) => this.labelRenderer.getLabelProperties(label));
+        this.labelIndex.build(this.allLabels);
+        this.loadLabelImages();
+        log.debug('render', `OverlayEngine: labels replaced, ${this.allLabels.length} labels`);
+    }
+
+    replaceShapes(allShapes) {
+        // Shapes are drawn in data order, so later ones are drawn over earlier ones
+        this.allShapes = allShapes.map((shape, order) => ({ ...this.shapeRenderer.getShapeProperties(shape), order }));
+        this.shapeIndex.build(this.allShapes);
+        log.debug('render', `OverlayEngine: shapes replaced, ${this.allShapes.length} shapes`);
+    }
+
+    redrawAfterReplace() {
+        if (this.initialized) {
+            this.redrawAllLabels();
+            this.scheduleNextTransition();
+        }
+    }
+
+    /**
+     * Decode the images of image labels in the background, and redraw once they are available
+     */
+    loadLabelImages() {
+        this.labelRenderer.loadImages(this.allLabels).then((loaded) => {
+            if (loaded && this.initialized) {
+                this.redrawAllLabels();
+            }
+        });
+    }
+
+    /**
+     * Replace the set of shapes, which are drawn beneath the labels
+     * @param {Array} allShapes - Shape configurations
+     */
+    setShapes(allShapes) {
+        this.replaceShapes(allShapes);
+        this.redrawAfterReplace();
+    }
+
+    /**
+     * Set the label categories the user has turned off
+     * @param {Array} categories - Names of disabled categories
+     */
+    setDisabledCategories(categories) {
+        this.disabledCategories = new Set(categories);
+        log.debug('render', `OverlayEngine: disabled categories: ${categories.join(', ') || '(none)'}`);
+
+        if (this.initialized) {
+            this.redrawAllLabels();
+        }
+    }
+
+    /**
+     * Set the individual labels the user has hidden
+     * @param {Array} labelIds - Ids of hidden labels
+     */
+    setHiddenLabelIds(labelIds) {
+        this.hiddenLabelIds = new Set(labelIds);
+        log.debug('render', `OverlayEngine: ${labelIds.length} hidden labels`);
+
+        if (this.initialized) {
+            this.redrawAllLabels();
+        }
+    }
+
+    /**
+     * Check whether a label or shape should be shown: in zoom range, in its scheduled window, in an
+     * enabled category and not hidden by the user
+     * @param {Object} entry - Label or shape properties
+     * @param {number} zoom - Current zoom level
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if the entry should be shown
+     */
+    isEntryShown(entry, zoom, now) {
+        return zoom >= entry.zoomLimits[0] && zoom < entry.zoomLimits[1] &&
+            this.isLabelScheduled(entry, now) && this.isLabelCategoryEnabled(entry) &&
+            !this.hiddenLabelIds.has(entry.id);
+    }
+
+    /**
+     * Check whether a label belongs to an enabled category. Uncategorized labels are always shown,
+     * and a label with several categories is shown while any of them is enabled.
+     * @param {Object} label - Label properties
+     * @returns {boolean} True if the label should be shown
+     */
+    isLabelCategoryEnabled(label) {
+        if (!label.categories) return true;
+        return label.categories.some((category) => !this.disabledCategories.has(category));
+    }
+
+    /**
+     * Check whether a label is inside its optional show-after / show-until window
+     * @param {Object} label - Label properties
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if the label should be shown at this time
+     */
+    isLabelScheduled(label, now) {
+        if (label['show-after'] && new Date(label['show-after']).getTime() > now) {
+            return false; // Too early to show
+        }
+        if (label['show-until'] && new Date(label['show-until']).getTime() <= now) {
+            return false; // Expired
+        }
+        return true;
+    }
+
+    /**
+     * Redraw when the next label or shape starts or stops being shown, so scheduled labels appear and
+     * expire on time even if the map isn't moved
+     */
+    scheduleNextTransition() {
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = null;
+
+        const now = Date.now();
+        let next = Infinity;
+        for (const label of [...this.allLabels, ...this.allShapes]) {
+            for (const field of ['show-after', 'show-until']) {
+                const time = label[field] ? new Date(label[field]).getTime() : NaN;
+                if (time > now && time < next) {
+                    next = time;
+                }
+            }
+        }
+        if (next === Infinity) return;
+
+        const delay = Math.min(next - now, this.MAX_SCHEDULE_DELAY);
+        log.debug('render', `Next scheduled label change at ${new Date(next).toISOString()}, checking in ${Math.round(delay / 1000)}s`);
+        this.scheduleTimer = setTimeout(() => {
+            this.redrawAllLabels();
+            this.scheduleNextTransition();
+        }, delay);
+    }
+
+    /**
+     * Get a label's configuration as it was given to setLabels(), before any updateLabel() changes
+     * @param {string} id - The label id
+     * @returns {Object|null} The label configuration, or null if there is no such label
+     */
+    getLabelConfig(id) {
+        return this.labelConfigs.get(id) || null;
+    }
+
+    /**
+     * Change the properties of a single label, e.g. while adjusting its placement
+     * @param {string} id - The label id
+     * @param {Object} changes - Label configuration fields to change
+     * @returns {Object|null} The updated label properties, or null if there is no such label
+     */
+    updateLabel(id, changes) {
+        const index = this.allLabels.findIndex((label) => label.id === id);
+        if (index === -1) return null;
+
+        const label = this.labelRenderer.getLabelProperties({ ...this.allLabels[index], ...changes });
+        // Only this label moves, e.g. on every drag step, so re-index just it
+        this.labelIndex.remove(this.allLabels[index]);
+        this.labelIndex.insert(label);
+        this.allLabels[index] = label;
+
+        if (this.initialized) {
+            this.redrawAllLabels();
+        }
+        return label;
+    }
+
+    /**
+     * Outline a label on the overlay, e.g. the one selected for editing
+     * @param {string|null} id - The label id, or null for none
+     */
+    setHighlightedLabel(id) {
+        this.highlightedLabelId = id;
+
+        if (this.initialized) {
+            this.redrawAllLabels();
+        }
+    }
+
+    /**
+     * Find the label drawn at a point on the overlay
+     * @param {number} x - Canvas x in display pixels
+     * @param {number} y - Canvas y in display pixels
+     * @returns {Object|null} The topmost label properties at that point, or null
+     */
+    hitTest(x, y) {
+        for (let i = this.renderedLabels.length - 1; i >= 0; i--) {
+            const rendered = this.renderedLabels[i];
+            if (Math.abs(x - rendered.x) <= rendered.width / 2 && Math.abs(y - rendered.y) <= rendered.height / 2) {
+                return rendered.label;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Describe the labels in the current view whose zoom range is at or near the current zoom, e.g. for
+     * the popup, with whether each was drawn in the last redraw
+     * @returns {Object} The map center {lat, lng} (null if unknown) and zoom, and the labels
+     *     [{id, target, text, zoomLimits, rendered, reason}]; reason is why a label wasn't drawn:
+     *     'zoom', 'schedule', 'category', 'hidden', 'offscreen', 'transparent', 'collision', 'path'
+     *     or 'not-drawn' if there was no redraw since it came into view
+     */
+    describeView() {
+        const zoom = this.mapState.zoom;
+        const bounds = this.mapState.center ? this.getViewportWorldBounds(0) : null;
+        if (!bounds) {
+            return { center: null, zoom, labels: [] };
+        }
+
+        const now = Date.now();
+        const renderedIds = new Set(this.renderedLabels.map((rendered) => rendered.label.id));
+        const labels = this.allLabels
+            .filter((label) => label.zoomLimits[0] <= zoom + this.NEARBY_ZOOM_LEVELS &&
+                label.zoomLimits[1] > zoom - this.NEARBY_ZOOM_LEVELS)
+            .filter((label) => this.isLabelInWorldBounds(label, zoom, bounds))
+            .map((label) => {
+                const rendered = renderedIds.has(label.id);
+                return {
+                    id: label.id,
+                    target: label.target,
+                    text: label.text,
+                    zoomLimits: label.zoomLimits,
+                    rendered,
+                    reason: rendered ? null : this.getNotRenderedReason(label, zoom, now)
+                };
+            });
+
+        return { center: { ...this.mapState.center }, zoom, labels };
+    }
+
+    /**
+     * Check whether a label's position, or the bounding box of its path, overlaps a region of the world
+     * @param {Object} label - Label properties
+     * @param {number} zoom - Zoom level of the world pixel bounds
+     * @param {Object} bounds - World pixel bounds {minX, minY, maxX, maxY}
+     * @returns {boolean} True if the label is in the bounds
+     */
+    isLabelInWorldBounds(label, zoom, bounds) {
+        const points = (label.latLng ? [label.latLng] : label.path).map((latLng) =>
+            CoordinateTransformer.googleMapsLatLngToPoint(latLng[0], latLng[1], zoom));
+        return Math.min(...points.map((point) => point.x)) <= bounds.maxX &&
+            Math.max(...points.map((point) => point.x)) >= bounds.minX &&
+            Math.min(...points.map((point) => point.y)) <= bounds.maxY &&
+            Math.max(...points.map((point) => point.y)) >= bounds.minY;
+    }
+
+    /**
+     * Explain why a label wasn't drawn in the last redraw, in the order isEntryShown() and rendering check
+     * @param {Object} label - Label properties
+     * @param {number} zoom - Current zoom level
+     * @param {number} now - Current time in milliseconds
+     * @returns {string} Reason code, see describeView()
+     */
+    getNotRenderedReason(label, zoom, now) {
+        if (zoom < label.zoomLimits[0] || zoom >= label.zoomLimits[1]) return 'zoom';
+        if (!this.isLabelScheduled(label, now)) return 'schedule';
+        if (!this.isLabelCategoryEnabled(label)) return 'category';
+        if (this.hiddenLabelIds.has(label.id)) return 'hidden';
+        return this.skippedLabels.get(label.id) || 'not-drawn';
+    }
+
+    /**
+     * Handle URL changes, which may switch the Maps UI language
+     */
+    handleUrlChanged() {
+        if (this.labelRenderer.updateLocale()) {
+            this.redrawAllLabels();
+        }
+    }
+
+    /**
+     * Handle map colors sampled around covering labels
+     * @param {Object} colors - CSS colors by label id, for the labels whose color changed
+     */
+    handleCoverColors(colors) {
+        let changed = false;
+        for (const [id, color] of Object.entries(colors)) {
+            if (this.coverColors.get(id) !== color) {
+                this.coverColors.set(id, color);
+                changed = true;
+            }
+        }
+
+        // Redraws during WebGL movement would be offset twice, by the projection and the CSS translation,
+        // so new colors wait for the redraw at the next baseline
+        const drawn = this.renderedLabels.some((rendered) => rendered.label.cover && colors[rendered.label.id]);
+        if (changed && drawn && this.initialized && !this.mapState.hasValidMovement) {
+            this.redrawAllLabels();
+        }
+    }
+
+    /**
+     * Send the regions around the covering labels of the last redraw to the in-page script to sample
+     */
+    postCoverRegions() {
+        if (this.coverRegions.length === 0 && !this.coverRegionsPosted) return;
+
+        window.postMessage({
+            type: 'WOKEMAPS_SET_COVER_REGIONS',
+            regions: this.coverRegions
+        }, '*');
+        this.coverRegionsPosted = this.coverRegions.length > 0;
+    }
+
     /**
      * Handle map canvas changes
      */
@@ -93,30 +462,53 @@ class OverlayEngine {
         }
 
         // Clear the overlay canvas
+        this.renderedLabels = [];
+        this.skippedLabels.clear();
+        this.coverRegions = [];
         const canvasDimensions = this.mapCanvas.getDimensions();
         this.mapCanvas.overlayContext.clearRect(0, 0, canvasDimensions.width, canvasDimensions.height);
 
         // Skip rendering if currently zooming
         if (this.mapState.isPotentiallyZooming) {
             log.debug('render','Cannot render - missing canvas or center');
+            this.postCoverRegions();
             return;
         }
 
         log.detail('render','Redrawing labels');
 
+        const startTime = performance.now();
+        const now = Date.now();
         const zoom = this.mapState.zoom;
         let renderedCount = 0;
 
         const mode = this.mapState.viewMode;
 
-        // Render each label that's in zoom range
-        this.allLabels.forEach(label => {
-            if (zoom >= label.zoomLimits[0] && zoom < label.zoomLimits[1]) {
-                if (this.renderLabelToOverlay(label, mode)) {
+        // Draw shapes first, so labels are drawn over them
+        const shapeCount = this.renderShapesToOverlay(zoom, now, mode);
+
+        // Only consider labels indexed near the viewport, widened by the same one-tile margin as
+        // the on-screen check and by the largest label offset
+        const bounds = this.getViewportWorldBounds(this.mapCanvas.tileSize + this.labelIndex.maxOffset);
+        const candidates = bounds ? this.labelIndex.query(zoom, bounds) : this.allLabels;
+
+        // Render each label that's in zoom range, in its scheduled window, in an enabled category
+        // and not hidden by the user. Labels are placed in priority order, so a label only gives way to
+        // more important ones; the sort is stable, so labels of equal priority keep their data order.
+        const placedBounds = [];
+        candidates
+            .filter((label) => this.isEntryShown(label, zoom, now))
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+            .forEach(label => {
+                if (this.renderLabelToOverlay(label, mode, placedBounds, zoom)) {
                     renderedCount++;
                 }
-            }
-        });
+            });
+        this.postCoverRegions();
+
+        log.debug('render', () => `Redrew ${renderedCount} labels from ${candidates.length} candidates ` +
+            `(${this.allLabels.length} total) and ${shapeCount} shapes ` +
+            `in ${(performance.now() - startTime).toFixed(2)}ms`);
 
         if (this.debugOptions.highlightCanvasOrigins) {
             // Render overlay origin (native origin will be handled separately, when tiles are redrawn)
@@ -210,14 +602,82 @@ class OverlayEngine {
     }
 
     /**
-     * Render a single label to the overlay canvas
+     * Render every shown shape that overlaps the viewport to the overlay canvas
+     * @param {number} zoom - Current zoom level
+     * @param {number} now - Current time in milliseconds
+     * @param {string} mode - 'map' or 'satellite'
+     * @returns {number} Number of shapes drawn
+     */
+    renderShapesToOverlay(zoom, now, mode) {
+        if (this.allShapes.length === 0) return 0;
+
+        // Same one-tile margin as the on-screen check for labels
+        const bounds = this.getViewportWorldBounds(this.mapCanvas.tileSize);
+        if (!bounds) return 0;
+
+        // Only consider shapes indexed near the viewport. Their bounds are in world pixels at the
+        // renderer's bounds zoom.
+        const candidates = this.shapeIndex.query(zoom, bounds).sort((a, b) => a.order - b.order);
+        const scale = Math.pow(2, zoom - this.shapeRenderer.BOUNDS_ZOOM);
+        let renderedCount = 0;
+        for (const shape of candidates) {
+            if (!this.isEntryShown(shape, zoom, now)) continue;
+
+            const shapeBounds = shape.worldBounds;
+            if (shapeBounds.maxX * scale < bounds.minX || shapeBounds.minX * scale > bounds.maxX ||
+                shapeBounds.maxY * scale < bounds.minY || shapeBounds.minY * scale > bounds.maxY) {
+                continue; // >1 tile offscreen
+            }
+
+            if (this.renderShapeToOverlay(shape, mode)) {
+                renderedCount++;
+            }
+        }
+        return renderedCount;
+    }
+
+    /**
+     * Render a single shape to the overlay canvas, projecting it vertex by vertex
      */
-    renderLabelToOverlay(label, mode) {
+    renderShapeToOverlay(shape, mode) {
+        log.detail('render', "rendering shape", shape);
+
+        const points = [];
+        for (const latLng of shape.path) {
+            const point = this.mapState.mapLatLngToCanvas(latLng[0], latLng[1]);
+            if (!point) return false;
+            points.push(point);
+        }
+
+        this.shapeRenderer.drawShape(this.mapCanvas.overlayContext, points, shape, mode);
+        return true;
+    }
+
+    /**
+     * Render a single label to the overlay canvas, unless it collides with labels already placed
+     * @param {Object} label - Label properties
+     * @param {string} mode - 'map' or 'satellite'
+     * @param {Array} placedBounds - Bounding boxes of the labels placed so far in this redraw
+     * @param {number} zoom - Current zoom level, for the label's zoom stops
+     * @returns {boolean} True if the label was drawn
+     */
+    renderLabelToOverlay(label, mode, placedBounds, zoom) {
         log.detail('render', "rendering label", label);
         if (!this.mapState.center) return false;
 
+        // Scale, offset and opacity may vary with zoom
+        const zoomedLabel = this.labelRenderer.getLabelPropertiesAtZoom(label, zoom);
+        if (zoomedLabel.opacity === 0) {
+            this.skippedLabels.set(label.id, 'transparent');
+            return false;
+        }
+
+        if (label.path) {
+            return this.renderPathLabelToOverlay(label, zoomedLabel, mode, placedBounds);
+        }
+
         // Calculate the pixel position for this label
-        const labelPosition = this.calculateLabelPosition(label);
+        const labelPosition = this.calculateLabelPosition(zoomedLabel);
         if (!labelPosition) return false;
 
         // Check if label is visible on screen
@@ -229,21 +689,205 @@ class OverlayEngine {
         const tileSize = this.mapCanvas.tileSize;
         if (labelPosition.x < -tileSize || labelPosition.x > displayWidth + tileSize ||
             labelPosition.y < -tileSize || labelPosition.y > displayHeight + tileSize) {
+            this.skippedLabels.set(label.id, 'offscreen');
             return false; // >1 tile offscreen
         }
 
+        // Measure the label, and move it to the first anchor where it doesn't overlap a placed label
+        const layout = this.labelRenderer.layoutLabel(this.mapCanvas.overlayContext, zoomedLabel, mode);
+        const position = this.findFreePosition(labelPosition, layout, placedBounds);
+        if (!position) {
+            log.detail('render', `Skipping label ${label.id}, it collides with labels placed before it`);
+            this.skippedLabels.set(label.id, 'collision');
+            return false;
+        }
+
+        // Hide Google's own label under a patch of the map color around it
+        if (zoomedLabel.cover) {
+            this.renderCoverToOverlay(label, zoomedLabel, labelPosition, layout);
+        }
+
         // Draw the label
-        this.labelRenderer.drawLabelAtPosition(
+        const dimensions = this.labelRenderer.drawLabelAtPosition(
             this.mapCanvas.overlayContext,
-            labelPosition.x,
-            labelPosition.y,
-            label,
-            mode
+            position.x,
+            position.y,
+            zoomedLabel,
+            mode,
+            layout
         );
+        this.recordRenderedLabel({ label, x: position.x, y: position.y, ...dimensions });
+        return true;
+    }
+
+    /**
+     * Paint a label's cover patch at its position, before decluttering moved it, beneath everything drawn
+     * so far. The patch waits for the in-page script to sample the map color around it.
+     * @param {Object} label - Label properties
+     * @param {Object} zoomedLabel - Label properties at the current zoom
+     * @param {Object} labelPosition - The label's position {x, y}
+     * @param {Object} layout - Layout from layoutLabel()
+     */
+    renderCoverToOverlay(label, zoomedLabel, labelPosition, layout) {
+        const [dx, dy, width, height] = this.labelRenderer.getCoverRect(zoomedLabel, layout);
+        if (width <= 0 || height <= 0) return;
+
+        const x = labelPosition.x + dx;
+        const y = labelPosition.y + dy;
+        const devicePixelRatio = window.devicePixelRatio || 1;
+        this.coverRegions.push({
+            id: label.id,
+            x: Math.floor(x * devicePixelRatio),
+            y: Math.floor(y * devicePixelRatio),
+            width: Math.ceil(width * devicePixelRatio),
+            height: Math.ceil(height * devicePixelRatio)
+        });
 
+        const color = this.coverColors.get(label.id);
+        if (!color) {
+            log.detail('render', `No map color sampled for the cover of label ${label.id} yet`);
+            return;
+        }
+        this.labelRenderer.drawCover(this.mapCanvas.overlayContext, x, y, width, height, color, zoomedLabel.opacity);
+    }
+
+    /**
+     * Render a label along its path, glyph by glyph, unless its text doesn't fit the visible part of the
+     * path or a glyph collides with labels already placed
+     * @param {Object} label - Label properties
+     * @param {Object} zoomedLabel - Label properties at the current zoom
+     * @param {string} mode - 'map' or 'satellite'
+     * @param {Array} placedBounds - Bounding boxes of the labels placed so far in this redraw
+     * @returns {boolean} True if the label was drawn
+     */
+    renderPathLabelToOverlay(label, zoomedLabel, mode, placedBounds) {
+        // Project the path vertex by vertex
+        const points = [];
+        for (const latLng of zoomedLabel.path) {
+            const point = this.mapState.mapLatLngToCanvas(latLng[0], latLng[1]);
+            if (!point) return false;
+            points.push({ x: point.x + zoomedLabel.offset[0], y: point.y + zoomedLabel.offset[1] });
+        }
+
+        const canvasDimensions = this.mapCanvas.getDimensions();
+        const devicePixelRatio = window.devicePixelRatio || 1;
+        const viewport = {
+            minX: 0,
+            minY: 0,
+            maxX: canvasDimensions.width / devicePixelRatio,
+            maxY: canvasDimensions.height / devicePixelRatio
+        };
+
+        const context = this.mapCanvas.overlayContext;
+        const layout = this.labelRenderer.layoutPathLabel(context, zoomedLabel, mode, points, viewport);
+        if (!layout) {
+            log.detail('render', `Skipping label ${label.id}, its text doesn't fit the visible path`);
+            this.skippedLabels.set(label.id, 'path');
+            return false;
+        }
+
+        // Glyphs are rotated along the path, so each reserves a square that covers it at any angle
+        const boxes = layout.glyphs.map((glyph) => {
+            const half = Math.max(glyph.width, layout.lineHeight) / 2;
+            return { minX: glyph.x - half, minY: glyph.y - half, maxX: glyph.x + half, maxY: glyph.y + half };
+        });
+        if (boxes.some((box) => placedBounds.some((placed) => this.boxesOverlap(box, placed)))) {
+            log.detail('render', `Skipping label ${label.id}, it collides with labels placed before it`);
+            this.skippedLabels.set(label.id, 'collision');
+            return false;
+        }
+        placedBounds.push(...boxes);
+
+        this.labelRenderer.drawPathLabel(context, zoomedLabel, layout);
+
+        // Hit test and highlight the box around the whole text
+        const minX = Math.min(...boxes.map((box) => box.minX));
+        const minY = Math.min(...boxes.map((box) => box.minY));
+        const maxX = Math.max(...boxes.map((box) => box.maxX));
+        const maxY = Math.max(...boxes.map((box) => box.maxY));
+        this.recordRenderedLabel({
+            label, x: (minX + maxX) / 2, y: (minY + maxY) / 2, width: maxX - minX, height: maxY - minY
+        });
         return true;
     }
 
+    /**
+     * Remember where a label was drawn for hit testing, and outline it if it is highlighted
+     * @param {Object} rendered - The label and its drawn box {label, x, y, width, height}
+     */
+    recordRenderedLabel(rendered) {
+        this.renderedLabels.push(rendered);
+
+        if (rendered.label.id === this.highlightedLabelId) {
+            const context = this.mapCanvas.overlayContext;
+            context.save();
+            context.setLineDash([4, 3]);
+            context.lineWidth = 2;
+            context.strokeStyle = '#1a73e8';
+            context.strokeRect(
+                rendered.x - rendered.width / 2,
+                rendered.y - rendered.height / 2,
+                rendered.width,
+                rendered.height);
+            context.restore();
+        }
+    }
+
+    boxesOverlap(a, b) {
+        return a.minX < b.maxX && a.maxX > b.minX && a.minY < b.maxY && a.maxY > b.minY;
+    }
+
+    /**
+     * Find the first anchor at which a label's rotated bounding box doesn't overlap any placed label,
+     * and reserve its box there
+     * @param {Object} position - Label position on the canvas {x, y}
+     * @param {Object} layout - Label layout from LabelRenderer.layoutLabel()
+     * @param {Array} placedBounds - Boxes {minX, minY, maxX, maxY} of the labels placed so far
+     * @returns {Object|null} Position to draw the label at {x, y}, or null if every anchor collides
+     */
+    findFreePosition(position, layout, placedBounds) {
+        if (layout.width === 0) return position; // Nothing to draw, so nothing to collide with
+
+        const halfWidth = layout.boundsWidth / 2;
+        const halfHeight = layout.boundsHeight / 2;
+        for (const [shiftX, shiftY] of this.ANCHOR_SHIFTS) {
+            const x = position.x + shiftX * layout.boundsWidth;
+            const y = position.y + shiftY * layout.boundsHeight;
+            const box = { minX: x - halfWidth, minY: y - halfHeight, maxX: x + halfWidth, maxY: y + halfHeight };
+
+            if (!placedBounds.some((placed) => this.boxesOverlap(box, placed))) {
+                placedBounds.push(box);
+                return { x, y };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Calculate the region of the world covered by the overlay canvas
+     * @param {number} margin - Extra display pixels to include on every side
+     * @returns {Object|null} World pixel bounds at the current zoom {minX, minY, maxX, maxY}
+     */
+    getViewportWorldBounds(margin) {
+        const center = this.mapState.center;
+        const centerOnCanvas = this.mapState.mapLatLngToCanvas(center.lat, center.lng);
+        const centerInWorld = CoordinateTransformer.googleMapsLatLngToPoint(center.lat, center.lng, this.mapState.zoom);
+        if (!centerOnCanvas || !centerInWorld) return null;
+
+        const canvasDimensions = this.mapCanvas.getDimensions();
+        const devicePixelRatio = window.devicePixelRatio || 1;
+        const displayWidth = canvasDimensions.width / devicePixelRatio;
+        const displayHeight = canvasDimensions.height / devicePixelRatio;
+
+        // Canvas and world pixels are the same scale, only offset from each other
+        return {
+            minX: centerInWorld.x - centerOnCanvas.x - margin,
+            minY: centerInWorld.y - centerOnCanvas.y - margin,
+            maxX: centerInWorld.x + (displayWidth - centerOnCanvas.x) + margin,
+            maxY: centerInWorld.y + (displayHeight - centerOnCanvas.y) + margin
+        };
+    }
+
     /**
      * Calculate the display position for a label based on current map state
      */
@@ -1,11 +1,41 @@
 // Woke Maps Popup Configuration Panel
 
 document.addEventListener('DOMContentLoaded', async function() {
-    const CONFIG_CACHE_KEY = 'wokemaps_config_cache';
-    const CONFIG_CACHE_EXPIRY_KEY = 'wokemaps_config_expiry';
+    const CONFIG_CACHE_KEY = 'wokemaps_app_data_cache';
+    const CONFIG_CACHE_EXPIRY_KEY = 'wokemaps_app_data_expiry';
+    const CONFIG_LATEST_KEY = 'wokemaps_app_data_latest';
+    const CONFIG_FETCH_STATE_KEY = 'wokemaps_app_data_fetch_state';
+    const CONFIG_VALIDATORS_KEY = 'wokemaps_app_data_validators';
+    const PACK_CACHE_KEY_PREFIXES = [
+        'wokemaps_pack_cache_', 'wokemaps_pack_expiry_', 'wokemaps_pack_latest_', 'wokemaps_pack_validators_',
+        'wokemaps_pack_fetch_state_'];
     const ANNOUNCEMENT_DISMISSAL_KEY = 'wokemaps_announcement_dismissals';
+    const APP_DATA_STATUS_KEY = 'wokemaps_app_data_status';
 
     const optionsManager = new OptionsManager();
+    const appDataManager = new AppDataManager(optionsManager);
+    appDataManager.readOnly = true;
+    const hiddenLabelsManager = new HiddenLabelsManager();
+    const localLabelsManager = new LocalLabelsManager();
+    const MAPS_URL = 'https://www.google.com/maps';
+    // Most directory entries to list at once; the search narrows down the rest
+    const DIRECTORY_LIMIT = 100;
+    // Labels listed in the directory, loaded once when the popup opens
+    let directoryLabels = [];
+    // Locales to list label text in, as the active Maps tab draws them
+    let labelLocales = getPreferredLocales(null);
+    // Why a label near the view isn't drawn, by the reason codes of OverlayEngine.describeView()
+    const NOT_RENDERED_REASONS = {
+        'zoom': 'out of zoom range',
+        'schedule': 'not scheduled now',
+        'category': 'category turned off',
+        'hidden': 'hidden',
+        'offscreen': 'off-screen',
+        'transparent': 'faded out at this zoom',
+        'collision': 'overlaps another label',
+        'path': "doesn't fit its path",
+        'not-drawn': 'not drawn yet'
+    };
 
     // Show status message
     function showStatus(message, type = 'success') {
@@ -22,6 +52,8 @@ document.addEventListener('DOMContentLoaded', async function() {
     // Initialize the popup
     async function initialize() {
         const options = await optionsManager.getOptions();
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        labelLocales = getPreferredLocales(tab && isMapsUrl(tab.url) ? URLParser.extractLanguage(tab.url) : null);
         const debugOptions = options.debug || {};
         const showDebugUi = debugOptions.showDebugUi || false;
 
@@ -33,6 +65,469 @@ document.addEventListener('DOMContentLoaded', async function() {
             document.getElementById('simple-view').style.display = 'block';
             document.getElementById('debug-view').style.display = 'none';
         }
+
+        renderCategories();
+        renderViewLabels();
+        setupLabelDirectory();
+        setupHiddenLabels();
+        renderLocalLabels();
+        setupLabelPacks();
+    }
+
+    // Single-line label text for lists, in the locale the map draws it in
+    function describeLabelText(text) {
+        if (text === undefined || text === null) {
+            return '(image)';
+        }
+        return pickLocalizedText(text, labelLocales).replace(/\n/g, ' ');
+    }
+
+    // Whether a tab URL is a Google Maps page
+    function isMapsUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return /(^|\.)google\.com$/.test(parsed.hostname) && parsed.pathname.startsWith('/maps');
+        } catch (e) {
+            // No URL, or one the extension can't see
+            return false;
+        }
+    }
+
+    // Create a small button for a list row
+    function createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-secondary btn-small';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Create a list row with a label description and an action button
+    function createLabelRow(target, text, title, buttonText, onClick) {
+        const row = document.createElement('div');
+        row.className = 'label-row';
+
+        const nameEl = document.createElement('span');
+        nameEl.className = 'label-name';
+        nameEl.textContent = `${target}: ${describeLabelText(text)}`;
+        nameEl.title = title;
+
+        row.append(nameEl, createButton(buttonText, onClick));
+        return row;
+    }
+
+    // List the labels in and near the active Maps tab's view, each with whether it is drawn, or why not
+    async function renderViewLabels() {
+        const noteEl = document.getElementById('viewLabelsNote');
+        const listEl = document.getElementById('viewLabelList');
+        listEl.replaceChildren();
+
+        let view = null;
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            view = await chrome.tabs.sendMessage(tab.id, { type: 'WOKEMAPS_GET_VIEW_LABELS' });
+        } catch (e) {
+            // Not a Maps tab, or the map hasn't finished loading there
+        }
+        if (!view || !view.center) {
+            noteEl.textContent = 'Open Google Maps in this tab to see the labels in view.';
+            return;
+        }
+
+        const labels = [
+            ...view.labels.filter((label) => label.rendered),
+            ...view.labels.filter((label) => !label.rendered)
+        ];
+        const shownCount = labels.filter((label) => label.rendered).length;
+        noteEl.textContent = `${shownCount} of ${labels.length} labels shown around ` +
+            `${view.center.lat.toFixed(4)}, ${view.center.lng.toFixed(4)} at zoom ${Math.round(view.zoom * 10) / 10}.`;
+
+        labels.forEach((label) => {
+            const row = document.createElement('div');
+            row.className = 'label-row';
+
+            const nameEl = document.createElement('span');
+            nameEl.className = 'label-name';
+            nameEl.textContent = `${label.target}: ${describeLabelText(label.text)}`;
+            nameEl.title = `${label.id}, zoom ${label.zoomLimits[0]}\u2013${label.zoomLimits[1]}`;
+
+            const statusEl = document.createElement('span');
+            statusEl.className = label.rendered ? 'label-status shown' : 'label-status';
+            statusEl.textContent = label.rendered ? 'shown' : NOT_RENDERED_REASONS[label.reason];
+
+            row.append(nameEl, statusEl);
+            listEl.appendChild(row);
+        });
+    }
+
+    // Where to show a label: its position (the middle point of a path label) at one level above its
+    // start zoom, or the highest zoom still inside its limits
+    function getLabelView(label) {
+        const [lat, lng] = label.latLng || label.path[Math.floor(label.path.length / 2)];
+        const [start, limit] = label.zoomLimits;
+        const zoom = Math.max(start, Math.min(Math.floor(start) + 1, Math.ceil(limit) - 1));
+        return { lat, lng, zoom };
+    }
+
+    // Navigate the active tab to a label if it is showing Google Maps, or open Maps in a new tab
+    async function flyToLabel(label) {
+        const view = getLabelView(label);
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (isMapsUrl(tab.url)) {
+            await chrome.tabs.update(tab.id, { url: URLParser.buildMapUrl(tab.url, view.lat, view.lng, view.zoom) });
+        } else {
+            await chrome.tabs.create({ url: URLParser.buildMapUrl(MAPS_URL, view.lat, view.lng, view.zoom) });
+        }
+        log.debug('ui', `Flying to label ${label.id} at ${view.lat},${view.lng} zoom ${view.zoom}`);
+    }
+
+    // Check whether a label matches a directory search, by target, text in any locale or id
+    function labelMatches(label, query) {
+        const texts = label.text === undefined ? [] :
+            (typeof label.text === 'string' ? [label.text] : Object.values(label.text));
+        return [label.target, label.id, ...texts].some((value) => value.toLowerCase().includes(query));
+    }
+
+    // Hide a label on every Maps tab, then refresh the lists that show it
+    async function hideLabel(label) {
+        if (await hiddenLabelsManager.hideLabel(label)) {
+            showStatus('Label hidden');
+        } else if (hiddenLabelsManager.quotaExceeded) {
+            showStatus('Too many hidden labels to sync, restore some first', 'error');
+        } else {
+            showStatus('Failed to hide label', 'error');
+        }
+        await renderLabelDirectory();
+        await renderHiddenLabels();
+    }
+
+    // Show a hidden label again, then refresh the lists that show it
+    async function restoreLabel(id) {
+        if (await hiddenLabelsManager.restoreLabel(id)) {
+            showStatus('Label restored');
+        } else {
+            showStatus('Failed to restore label', 'error');
+        }
+        await renderLabelDirectory();
+        await renderHiddenLabels();
+    }
+
+    // List the directory labels that match the search, each with a button to fly to it and, unless it is
+    // one of the user's own, to hide or restore it
+    async function renderLabelDirectory() {
+        const labels = directoryLabels;
+        const hiddenLabels = await hiddenLabelsManager.getHiddenLabels();
+        const query = document.getElementById('labelSearch').value.trim().toLowerCase();
+        const matches = query ? labels.filter((label) => labelMatches(label, query)) : labels;
+
+        const listEl = document.getElementById('labelDirectory');
+        listEl.replaceChildren();
+
+        if (matches.length === 0) {
+            const emptyEl = document.createElement('p');
+            emptyEl.className = 'empty-note';
+            emptyEl.textContent = labels.length === 0 ? 'No labels loaded.' : 'No matching labels.';
+            listEl.appendChild(emptyEl);
+            return;
+        }
+
+        matches.slice(0, DIRECTORY_LIMIT).forEach((label) => {
+            const title = `${label.id}, zoom ${label.zoomLimits[0]}\u2013${label.zoomLimits[1]}`;
+            const row = createLabelRow(label.target, label.text, title, 'Go', async function() {
+                try {
+                    await flyToLabel(label);
+                } catch (e) {
+                    log.warn('ui', 'Failed to navigate to label:', e);
+                    showStatus('Failed to open Google Maps', 'error');
+                }
+            });
+
+            const zoomEl = document.createElement('span');
+            zoomEl.className = 'label-zoom';
+            zoomEl.textContent = `z${label.zoomLimits[0]}\u2013${label.zoomLimits[1]}`;
+            row.insertBefore(zoomEl, row.lastChild);
+
+            // Local labels are deleted from "My Labels" instead
+            if (label.origin !== 'local') {
+                row.appendChild(hiddenLabels[label.id] ?
+                    createButton('Restore', () => restoreLabel(label.id)) :
+                    createButton('Hide', () => hideLabel(label)));
+            }
+            listEl.appendChild(row);
+        });
+
+        if (matches.length > DIRECTORY_LIMIT) {
+            const moreEl = document.createElement('p');
+            moreEl.className = 'empty-note';
+            moreEl.textContent = `Showing ${DIRECTORY_LIMIT} of ${matches.length} labels, search to narrow down.`;
+            listEl.appendChild(moreEl);
+        }
+    }
+
+    // Setup the directory of the loaded labels from app data, label packs and this device, and its search
+    async function setupLabelDirectory() {
+        directoryLabels = [...await appDataManager.getLabels(), ...await localLabelsManager.getLabels()];
+        await renderLabelDirectory();
+        document.getElementById('labelSearch').addEventListener('input', () => renderLabelDirectory());
+    }
+
+    // List the hidden labels, each with a button to restore it. The list is bounded by how many labels
+    // sync storage can hold, unlike the loaded labels, which are hidden from the directory.
+    async function renderHiddenLabels() {
+        const labels = await appDataManager.getLabels();
+        const hiddenLabels = await hiddenLabelsManager.getHiddenLabels();
+
+        const hiddenListEl = document.getElementById('hiddenLabelList');
+        hiddenListEl.replaceChildren();
+        const hiddenEntries = Object.entries(hiddenLabels);
+        document.getElementById('restoreHiddenLabels').style.display = hiddenEntries.length > 0 ? 'block' : 'none';
+
+        if (hiddenEntries.length === 0) {
+            const emptyEl = document.createElement('p');
+            emptyEl.className = 'empty-note';
+            emptyEl.textContent = 'No hidden labels.';
+            hiddenListEl.appendChild(emptyEl);
+            return;
+        }
+
+        // Only ids are stored, so a hidden label that is no longer in the app data is listed by its id
+        const labelsById = new Map(labels.map((label) => [label.id, label]));
+        hiddenEntries.forEach(([id, hiddenLabel]) => {
+            const label = labelsById.get(id);
+            const title = `${id}, hidden ${new Date(hiddenLabel.hiddenAt).toLocaleString()}`;
+            const target = label ? label.target : id;
+            const text = label ? label.text : '(no longer loaded)';
+            hiddenListEl.appendChild(createLabelRow(target, text, title, 'Restore', () => restoreLabel(id)));
+        });
+    }
+
+    // List the labels the user authored on the map, each with a button to delete it
+    async function renderLocalLabels() {
+        const localLabels = await localLabelsManager.getLabels();
+        const listEl = document.getElementById('localLabelList');
+        listEl.replaceChildren();
+
+        localLabels.forEach((label) => {
+            const title = `${label.latLng[0]}, ${label.latLng[1]}, zoom ${label.zoomLimits[0]}\u2013${label.zoomLimits[1]}`;
+            listEl.appendChild(createLabelRow(label.target, label.text, title, 'Delete', async function() {
+                if (await localLabelsManager.removeLabel(label.id)) {
+                    showStatus('Label deleted');
+                } else {
+                    showStatus('Failed to delete label', 'error');
+                }
+                await renderLocalLabels();
+            }));
+        });
+    }
+
+    // Setup the hidden label list and the button to restore every hidden label
+    async function setupHiddenLabels() {
+        await renderHiddenLabels();
+
+        document.getElementById('restoreHiddenLabels').addEventListener('click', async function() {
+            if (await hiddenLabelsManager.restoreAll()) {
+                showStatus('All hidden labels restored');
+            } else {
+                showStatus('Failed to restore labels', 'error');
+            }
+            await renderLabelDirectory();
+            await renderHiddenLabels();
+        });
+    }
+
+    // List the categories used by the loaded labels, each with a toggle to show or hide its labels
+    async function renderCategories() {
+        const labels = await appDataManager.getLabels();
+        const categories = [...new Set(labels.flatMap((label) => label.categories || []))].sort();
+        const disabledCategories = await optionsManager.getOption('disabledCategories', []);
+        const listEl = document.getElementById('categoryList');
+        listEl.replaceChildren();
+
+        if (categories.length === 0) {
+            const emptyEl = document.createElement('p');
+            emptyEl.className = 'empty-note';
+            emptyEl.textContent = 'No label categories.';
+            listEl.appendChild(emptyEl);
+            return;
+        }
+
+        categories.forEach((category) => {
+            const row = document.createElement('div');
+            row.className = 'option-row';
+
+            const labelEl = document.createElement('span');
+            labelEl.className = 'option-label';
+            labelEl.textContent = category;
+
+            const toggle = document.createElement('label');
+            toggle.className = 'toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !disabledCategories.includes(category);
+            const slider = document.createElement('span');
+            slider.className = 'slider';
+            toggle.append(checkbox, slider);
+
+            // Open Maps tabs pick up the change from storage and re-render
+            checkbox.addEventListener('change', async function() {
+                const currentOptions = await optionsManager.getOptions();
+                const disabled = new Set(currentOptions.disabledCategories || []);
+                if (this.checked) {
+                    disabled.delete(category);
+                } else {
+                    disabled.add(category);
+                }
+                currentOptions.disabledCategories = [...disabled];
+
+                if (await optionsManager.saveOptions(currentOptions)) {
+                    showStatus(this.checked ? `Showing ${category} labels` : `Hiding ${category} labels`);
+                } else {
+                    showStatus('Failed to save category setting', 'error');
+                }
+            });
+
+            row.append(labelEl, toggle);
+            listEl.appendChild(row);
+        });
+    }
+
+    // Render the configured label packs with their enable toggles and remove buttons
+    async function renderLabelPacks() {
+        const packs = await optionsManager.getOption('labelPacks', []);
+        const listEl = document.getElementById('labelPackList');
+        listEl.replaceChildren();
+
+        if (packs.length === 0) {
+            const emptyEl = document.createElement('p');
+            emptyEl.className = 'empty-note';
+            emptyEl.textContent = 'No label packs added.';
+            listEl.appendChild(emptyEl);
+            return;
+        }
+
+        packs.forEach((pack, index) => {
+            const row = document.createElement('div');
+            row.className = 'pack-row';
+
+            const urlEl = document.createElement('span');
+            urlEl.className = 'pack-url';
+            urlEl.textContent = pack.name || pack.url;
+            urlEl.title = pack.url;
+
+            const toggle = document.createElement('label');
+            toggle.className = 'toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = pack.enabled !== false;
+            const slider = document.createElement('span');
+            slider.className = 'slider';
+            toggle.append(checkbox, slider);
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn-remove';
+            removeButton.title = 'Remove label pack';
+            removeButton.textContent = '\u00d7';
+
+            checkbox.addEventListener('change', async function() {
+                await updateLabelPacks((packs) => {
+                    packs[index].enabled = this.checked;
+                }, this.checked ? 'Label pack enabled' : 'Label pack disabled');
+            });
+
+            removeButton.addEventListener('click', async function() {
+                await updateLabelPacks((packs) => {
+                    packs.splice(index, 1);
+                }, 'Label pack removed');
+                if (appDataManager.isLocalPack(pack)) {
+                    await appDataManager.removeLocalPack(pack);
+                }
+            });
+
+            row.append(urlEl, toggle, removeButton);
+            listEl.appendChild(row);
+        });
+    }
+
+    // Apply a change to the label pack list, save it and re-render
+    async function updateLabelPacks(mutate, successMessage) {
+        const currentOptions = await optionsManager.getOptions();
+        const packs = (currentOptions.labelPacks || []).map((pack) => ({ ...pack }));
+        mutate(packs);
+        currentOptions.labelPacks = packs;
+
+        if (await optionsManager.saveOptions(currentOptions)) {
+            showStatus(`${successMessage}, reload Maps to apply`);
+        } else {
+            showStatus('Failed to save label packs', 'error');
+        }
+        await renderLabelPacks();
+    }
+
+    // Setup the label pack list and the form to add new packs
+    async function setupLabelPacks() {
+        await renderLabelPacks();
+
+        document.getElementById('openOptions').addEventListener('click', function(e) {
+            e.preventDefault();
+            chrome.runtime.openOptionsPage();
+        });
+
+        document.getElementById('addLabelPack').addEventListener('click', async function() {
+            const inputEl = document.getElementById('labelPackUrl');
+            const url = inputEl.value.trim();
+
+            let parsedUrl;
+            try {
+                parsedUrl = new URL(url);
+            } catch (e) {
+                showStatus('Enter a valid label pack URL', 'error');
+                return;
+            }
+            if (parsedUrl.protocol !== 'https:' && parsedUrl.protocol !== 'http:') {
+                showStatus('Label pack URL must be http(s)', 'error');
+                return;
+            }
+
+            const packs = await optionsManager.getOption('labelPacks', []);
+            if (packs.some((pack) => pack.url === parsedUrl.href)) {
+                showStatus('Label pack already added', 'error');
+                return;
+            }
+
+            await updateLabelPacks((packs) => {
+                packs.push({ url: parsedUrl.href, enabled: true });
+            }, 'Label pack added');
+            inputEl.value = '';
+        });
+    }
+
+    // List the app data entries dropped by validation during the most recent load
+    async function renderRejectedEntries() {
+        const result = await chrome.storage.local.get([APP_DATA_STATUS_KEY]);
+        const rejectedEntries = result[APP_DATA_STATUS_KEY]?.rejectedEntries || [];
+        const listEl = document.getElementById('rejectedEntryList');
+        listEl.replaceChildren();
+
+        if (rejectedEntries.length === 0) {
+            const emptyEl = document.createElement('p');
+            emptyEl.className = 'empty-note';
+            emptyEl.textContent = 'No entries rejected.';
+            listEl.appendChild(emptyEl);
+            return;
+        }
+
+        rejectedEntries.forEach((rejection) => {
+            const row = document.createElement('div');
+            row.className = 'rejection-row';
+            row.title = rejection.source;
+
+            const fieldEl = document.createElement('code');
+            fieldEl.textContent = rejection.field || '(entry)';
+
+            const targetText = rejection.target ? ` (${rejection.target})` : '';
+            row.append(`${rejection.kind} #${rejection.index}${targetText}: `, fieldEl, ` ${rejection.message}`);
+            listEl.appendChild(row);
+        });
     }
 
     // Setup debug view with current values
@@ -44,6 +539,8 @@ document.addEventListener('DOMContentLoaded', async function() {
         document.getElementById('enableRemoteConfig').checked = debugOptions.enableRemoteConfig !== false;
         document.getElementById('enableRemoteConfigCache').checked = debugOptions.enableRemoteConfigCache !== false;
         document.getElementById('highlightGrid').checked = debugOptions.highlightGrid || false;
+        document.getElementById('labelEditMode').checked = debugOptions.labelEditMode || false;
+        document.getElementById('remoteConfigUrl').value = debugOptions.remoteConfigUrl || '';
 
         // Set current values for log levels
         const logLevels = debugOptions.logLevels || {};
@@ -52,6 +549,8 @@ document.addEventListener('DOMContentLoaded', async function() {
         document.getElementById('stateLogLevel').value = logLevels.state || 3;
         document.getElementById('uiLogLevel').value = logLevels.ui || 3;
 
+        renderRejectedEntries();
+
         // Add event listeners for automatic saving
         document.getElementById('enableRemoteConfig').addEventListener('change', async function() {
             const currentOptions = await optionsManager.getOptions();
@@ -89,6 +588,40 @@ document.addEventListener('DOMContentLoaded', async function() {
             }
         });
 
+        document.getElementById('labelEditMode').addEventListener('change', async function() {
+            const currentOptions = await optionsManager.getOptions();
+            currentOptions.debug = currentOptions.debug || {};
+            currentOptions.debug.labelEditMode = this.checked;
+
+            if (await optionsManager.saveOptions(currentOptions)) {
+                showStatus(this.checked ? 'Label edit mode on' : 'Label edit mode off');
+            } else {
+                showStatus('Failed to save setting', 'error');
+            }
+        });
+
+        document.getElementById('remoteConfigUrl').addEventListener('change', async function() {
+            const url = this.value.trim();
+            if (url) {
+                try {
+                    new URL(url);
+                } catch (e) {
+                    showStatus('Enter a valid remote config URL', 'error');
+                    return;
+                }
+            }
+
+            const currentOptions = await optionsManager.getOptions();
+            currentOptions.debug = currentOptions.debug || {};
+            currentOptions.debug.remoteConfigUrl = url || null;
+
+            if (await optionsManager.saveOptions(currentOptions)) {
+                showStatus('Remote config URL saved, clear the config cache to refetch');
+            } else {
+                showStatus('Failed to save setting', 'error');
+            }
+        });
+
         // Add event listeners for log level changes
         const logLevelIds = ['initLogLevel', 'renderLogLevel', 'stateLogLevel', 'uiLogLevel'];
         const logLevelChannels = ['init', 'render', 'state', 'ui'];
@@ -125,6 +658,8 @@ document.addEventListener('DOMContentLoaded', async function() {
                 document.getElementById('enableRemoteConfig').checked = debugOptions.enableRemoteConfig !== false;
                 document.getElementById('enableRemoteConfigCache').checked = debugOptions.enableRemoteConfigCache !== false;
                 document.getElementById('highlightGrid').checked = debugOptions.highlightGrid || false;
+                document.getElementById('labelEditMode').checked = debugOptions.labelEditMode || false;
+                document.getElementById('remoteConfigUrl').value = debugOptions.remoteConfigUrl || '';
 
                 // Reset log levels to defaults
                 const logLevels = debugOptions.logLevels || {};
@@ -133,6 +668,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                 document.getElementById('stateLogLevel').value = logLevels.state || 3;
                 document.getElementById('uiLogLevel').value = logLevels.ui || 3;
 
+                renderCategories();
                 showStatus('Options reset to defaults');
             } catch (e) {
                 console.error('Error resetting options:', e);
@@ -142,7 +678,12 @@ document.addEventListener('DOMContentLoaded', async function() {
 
         document.getElementById('clearConfigCache').addEventListener('click', async function() {
             try {
-                chrome.storage.local.remove([CONFIG_CACHE_KEY, CONFIG_CACHE_EXPIRY_KEY]);
+                const allLocal = await chrome.storage.local.get(null);
+                const packCacheKeys = Object.keys(allLocal).filter(
+                    (key) => PACK_CACHE_KEY_PREFIXES.some((prefix) => key.startsWith(prefix)));
+                chrome.storage.local.remove([
+                    CONFIG_CACHE_KEY, CONFIG_CACHE_EXPIRY_KEY, CONFIG_LATEST_KEY, CONFIG_FETCH_STATE_KEY,
+                    CONFIG_VALIDATORS_KEY, ...packCacheKeys]);
                 showStatus('Config cache cleared');
             } catch (e) {
                 console.error('Error clearing config cache:', e);
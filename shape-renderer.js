@@ -0,0 +1,71 @@
+// Shape Renderer
+// Handles style defaults and drawing of polyline and polygon shapes
+
+class ShapeRenderer {
+    constructor() {
+        // Zoom level the world bounds of shapes are computed at, scaled down for lower zooms
+        this.BOUNDS_ZOOM = 22;
+    }
+
+    /**
+     * Get shape display properties with defaults applied
+     * @param {Object} shape - The shape configuration
+     * @returns {Object} Shape properties with defaults, and world pixel bounds at BOUNDS_ZOOM for culling
+     */
+    getShapeProperties(shape) {
+        const points = shape.path.map((latLng) =>
+            CoordinateTransformer.googleMapsLatLngToPoint(latLng[0], latLng[1], this.BOUNDS_ZOOM));
+        return {
+            ...shape,
+            strokeWidth: shape.strokeWidth || 2,
+            strokeDash: shape.strokeDash || [],
+            fillColor: shape.type === 'polygon' ? shape.fillColor || null : null,
+            worldBounds: {
+                minX: Math.min(...points.map((point) => point.x)),
+                minY: Math.min(...points.map((point) => point.y)),
+                maxX: Math.max(...points.map((point) => point.x)),
+                maxY: Math.max(...points.map((point) => point.y))
+            }
+        };
+    }
+
+    /**
+     * Draw a shape through already projected points
+     * @param {CanvasRenderingContext2D} context - The canvas context to draw on
+     * @param {Array} points - Canvas coordinates {x, y} of the shape's path
+     * @param {Object} shapeProps - Shape properties from getShapeProperties()
+     * @param {string} mode - 'map' or 'satellite' to specify the default stroke color
+     */
+    drawShape(context, points, shapeProps, mode) {
+        context.save();
+
+        context.beginPath();
+        context.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            context.lineTo(points[i].x, points[i].y);
+        }
+
+        if (shapeProps.type === 'polygon') {
+            context.closePath();
+            if (shapeProps.fillColor) {
+                context.fillStyle = shapeProps.fillColor;
+                context.fill();
+            }
+        }
+
+        // Same default colors as label text, so unstyled shapes match the labels around them
+        context.strokeStyle = shapeProps.strokeColor || (mode === 'satellite' ? '#ffff77' : '#000033');
+        context.lineWidth = shapeProps.strokeWidth;
+        context.lineJoin = 'round';
+        context.lineCap = 'round';
+        context.setLineDash(shapeProps.strokeDash);
+        context.stroke();
+
+        context.restore();
+    }
+}
+
+// Export for use in other files
+if (typeof window !== 'undefined') {
+    window.ShapeRenderer = ShapeRenderer;
+}
@@ -0,0 +1,64 @@
+// Local stand-in for the remote app data host
+// Serves a JSON file with ETag / Last-Modified validators and answers conditional requests with
+// 304 Not Modified, like the S3 object does. Point the debug "Remote Config URL" option at it.
+//
+// Usage: node tools/serve-app-data.js [file] [port]
+// Defaults to app-data-v2.json on port 8787. Edit the file while the server runs to simulate a data push.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const filePath = path.resolve(process.argv[2] || path.join(__dirname, '..', 'app-data-v2.json'));
+const port = parseInt(process.argv[3] || '8787', 10);
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Accept, If-None-Match, If-Modified-Since',
+    'Access-Control-Expose-Headers': 'ETag, Last-Modified'
+};
+
+const server = http.createServer((request, response) => {
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+    }
+
+    let body, stats;
+    try {
+        body = fs.readFileSync(filePath);
+        stats = fs.statSync(filePath);
+    } catch (e) {
+        response.writeHead(404, CORS_HEADERS);
+        response.end();
+        console.log(`${request.method} ${request.url} -> 404`);
+        return;
+    }
+
+    const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+    const lastModified = new Date(Math.floor(stats.mtimeMs / 1000) * 1000).toUTCString();
+    const headers = { ...CORS_HEADERS, 'ETag': etag, 'Last-Modified': lastModified };
+
+    const ifNoneMatch = request.headers['if-none-match'];
+    const ifModifiedSince = request.headers['if-modified-since'];
+    const notModified = ifNoneMatch ?
+        ifNoneMatch === etag :
+        (ifModifiedSince && new Date(ifModifiedSince) >= new Date(lastModified));
+
+    if (notModified) {
+        response.writeHead(304, headers);
+        response.end();
+        console.log(`${request.method} ${request.url} -> 304`);
+        return;
+    }
+
+    response.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+    response.end(body);
+    console.log(`${request.method} ${request.url} -> 200 (${body.length} bytes)`);
+});
+
+server.listen(port, () => {
+    console.log(`Serving ${filePath} at http://localhost:${port}/${path.basename(filePath)}`);
+});
@@ -34,6 +34,36 @@ class URLParser {
 
         return null;
     }
+
+    /**
+     * Build a Google Maps URL centered on a position, keeping the host and query (e.g. `hl`) of another
+     * Maps URL, but dropping its place and view data
+     * @param {string} baseUrl - A Google Maps URL
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} zoom - Zoom level
+     * @returns {string} - URL of the form https://host/maps/@lat,lng,zoomz
+     */
+    static buildMapUrl(baseUrl, lat, lng, zoom) {
+        const url = new URL(baseUrl);
+        url.pathname = `/maps/@${lat.toFixed(7)},${lng.toFixed(7)},${zoom}z`;
+        url.hash = '';
+        return url.href;
+    }
+
+    /**
+     * Extract the Maps UI language from the `hl` URL parameter
+     * @param {string} url - The URL to parse (defaults to current window location)
+     * @returns {string|null} - Language tag such as 'es' or 'pt-BR', or null if not set
+     */
+    static extractLanguage(url = window.location.href) {
+        try {
+            const language = new URL(url).searchParams.get('hl');
+            return language ? language.replace(/_/g, '-') : null;
+        } catch (e) {
+            return null;
+        }
+    }
 }
 
 // Export for use in other files
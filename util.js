@@ -82,3 +82,50 @@ async function retryWithExponentialBackoffAsync(asyncFn, initialWaitMs, maxWaitM
         currentWait = Math.min(currentWait * 2, maxWaitMs);
     }
 }
+
+/**
+ * Computes a short, stable, non-cryptographic hash of a string (32-bit FNV-1a)
+ * @param {string} str - The string to hash
+ * @returns {string} - 8 hex characters
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Lists the locales to show label text in: the Maps UI language, then the browser language, then the default
+ * @param {string|null} mapsLanguage - The Maps `hl` setting, from URLParser.extractLanguage()
+ * @param {string} defaultLocale - Locale to fall back to
+ * @returns {Array<string>} - Lowercase locale tags, most preferred first
+ */
+function getPreferredLocales(mapsLanguage, defaultLocale = 'en') {
+    return [mapsLanguage, navigator.language, defaultLocale]
+        .filter(Boolean)
+        .map((locale) => locale.toLowerCase());
+}
+
+/**
+ * Picks the text of a label for the best matching locale
+ * @param {string|Object} text - A string, or a map of locale to string
+ * @param {Array<string>} preferredLocales - Locales from getPreferredLocales()
+ * @returns {string} - The string for the best matching locale, or the first one if none match
+ */
+function pickLocalizedText(text, preferredLocales) {
+    if (typeof text === 'string') return text;
+
+    const locales = Object.keys(text);
+    for (const preferred of preferredLocales) {
+        const language = preferred.split('-')[0];
+        // Exact tag, then the bare language, then any region of the same language
+        const match = locales.find((locale) => locale.toLowerCase().replace(/_/g, '-') === preferred) ||
+            locales.find((locale) => locale.toLowerCase() === language) ||
+            locales.find((locale) => locale.toLowerCase().split(/[-_]/)[0] === language);
+        if (match) return text[match];
+    }
+    return text[locales[0]];
+}